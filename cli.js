@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import chalk from 'chalk';
+import { RescueEngine, loadConfig, fileDescriptor, loadChainConfigs, loadChainProfiles, loadWallets, loadWalletKeys, importToVault, listVault, rekeyVault, createRpcPool, strategies, getStrategy, createSweeperWatcher, printSweeperReport } from './lib/index.js';
+
+// --- CLI ---
+// Usage: node cli.js <command>
+// --chain=<profile>[,<profile>...] (or CHAIN) runs one engine per chain profile, in parallel.
+function chainsFlag(flags) {
+    const value = flags.get('--chain');
+    if (value === true) throw new Error('--chain needs a value, e.g. --chain=linea,base');
+    return value;
+}
+
+// --new-passphrase-fd=N: a descriptor number, like KEYSTORE_PASSPHRASE_FD.
+function fdFlag(flags, name) {
+    const value = flags.get(name);
+    if (value === true) throw new Error(`${name} needs a value, e.g. ${name}=3 with \`3<passphrase.txt\``);
+    return fileDescriptor(value, name);
+}
+
+function vaultConfig() {
+    const config = loadConfig(process.env);
+    if (!config.keystore.vaultFile) throw new Error('Set VAULT_FILE to the vault to use.');
+    return config;
+}
+
+const VAULT_ACTIONS = {
+    // vault import <pk.txt|keystore.json...> [--relayer=<file>|--relayer=SECURE]
+    import: async (sources, flags) => {
+        const relayer = flags.get('--relayer');
+        if (sources.length === 0 && !relayer) throw new Error('Nothing to import: give key files and/or --relayer.');
+        const config = vaultConfig();
+        const result = await importToVault(config, { sources, relayer });
+        console.log(chalk.green(`✅ ${result.created ? 'Created' : 'Updated'} ${config.keystore.vaultFile}: ${result.added} new wallet(s), ${result.wallets.length} in total, relayer ${result.relayer ?? 'not set'}.`));
+        if (relayer === 'SECURE') console.log(chalk.yellow('The relayer key is now in the vault: remove SECURE from .env.'));
+    },
+    list: async () => {
+        const { relayer, wallets } = await listVault(vaultConfig());
+        console.log(`${chalk.bold('Relayer:')} ${relayer ?? 'not set'}`);
+        console.log(chalk.bold(`Compromised wallets (${wallets.length}):`));
+        wallets.forEach(address => console.log(`  ${address}`));
+    },
+    // vault rekey [--new-passphrase-fd=N]
+    rekey: async (args, flags) => {
+        const config = vaultConfig();
+        await rekeyVault(config, fdFlag(flags, '--new-passphrase-fd'));
+        console.log(chalk.green(`✅ ${config.keystore.vaultFile} re-encrypted with the new passphrase.`));
+    },
+};
+
+const COMMANDS = {
+    rescue: {
+        usage: 'rescue <strategy> [--chain=a,b] [--dry-run]',
+        description: `Listen for the trigger and rescue every wallet (strategies: ${Object.keys(strategies).join(', ')}). --dry-run only simulates each burst`,
+        run: ([strategyName], flags) => {
+            const strategy = getStrategy(strategyName);
+            const engines = loadChainConfigs(chainsFlag(flags)).map(config => new RescueEngine({ config, strategy }));
+            return Promise.all(engines.map(engine => (flags.has('--dry-run') ? engine.dryRun() : engine.start())));
+        },
+    },
+    sweepers: {
+        usage: 'sweepers [--chain=a,b] [--seconds=60] [--replay=<fixture>]',
+        description: 'Profile sweeper bots on the compromised wallets (live, or from a recorded fixture) and exit',
+        run: (args, flags) => Promise.all(loadChainConfigs(chainsFlag(flags)).map(async (config) => {
+            const wallets = loadWallets(config, await loadWalletKeys(config));
+            const watcher = createSweeperWatcher({ addresses: wallets.map(wallet => wallet.address), recordFile: config.sweeper.recordFile });
+            const fixture = flags.get('--replay') || config.sweeper.fixtureFile;
+            if (fixture) {
+                watcher.replay(fixture);
+            } else {
+                await watcher.start({ wsUrl: config.wsUrls[0], httpClient: createRpcPool({ urls: config.rpcUrls }).client, lookbackBlocks: config.sweeper.lookbackBlocks, watchMempool: config.sweeper.watchMempool });
+                await new Promise(resolve => setTimeout(resolve, parseInt(flags.get('--seconds') || '60', 10) * 1000));
+                await watcher.stop();
+            }
+            printSweeperReport(watcher.profiles());
+        })),
+    },
+    vault: {
+        usage: 'vault <import|list|rekey> [files...] [--relayer=...]',
+        description: 'Manage the encrypted VAULT_FILE: import keys from pk.txt files or V3 keystores, list addresses, change the passphrase',
+        run: ([action, ...args], flags) => {
+            if (!VAULT_ACTIONS[action]) throw new Error(`Unknown vault action "${action}". Available: ${Object.keys(VAULT_ACTIONS).join(', ')}`);
+            return VAULT_ACTIONS[action](args, flags);
+        },
+    },
+    chains: {
+        usage: 'chains',
+        description: 'List the chain profiles (built-in chains.json plus CHAINS_FILE)',
+        run: () => {
+            for (const profile of Object.values(loadChainProfiles(process.env.CHAINS_FILE))) {
+                console.log(`${chalk.bold(profile.key.padEnd(14))} ${String(profile.chainId).padEnd(8)} ${profile.feeEstimation.padEnd(18)} ${profile.txType.padEnd(8)} ${`${profile.blockTimeMs}ms`.padEnd(8)} ${profile.name}`);
+            }
+        },
+    },
+    strategies: {
+        usage: 'strategies',
+        description: 'List the available rescue strategies',
+        run: () => {
+            for (const strategy of Object.values(strategies)) console.log(`${chalk.bold(strategy.name.padEnd(10))} ${strategy.title}`);
+        },
+    },
+};
+
+function printUsage() {
+    console.log(chalk.bold('Usage: node cli.js <command>\n'));
+    for (const { usage, description } of Object.values(COMMANDS)) console.log(`  ${usage.padEnd(60)} ${description}`);
+}
+
+async function runCli(argv) {
+    // --flag or --flag=value
+    const flags = new Map(argv.filter(arg => arg.startsWith('--')).map(arg => {
+        const [name, ...value] = arg.split('=');
+        return [name, value.length > 0 ? value.join('=') : true];
+    }));
+    const [commandName, ...args] = argv.filter(arg => !arg.startsWith('--'));
+    const command = COMMANDS[commandName];
+    if (!command) {
+        printUsage();
+        process.exitCode = commandName && commandName !== 'help' ? 1 : 0;
+        return;
+    }
+    try {
+        await command.run(args, flags);
+    } catch (error) {
+        console.error(chalk.red(`💥 ${error.message}`));
+        process.exitCode = 1;
+    }
+}
+
+runCli(process.argv.slice(2));
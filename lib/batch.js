@@ -0,0 +1,52 @@
+import { worstCaseSpend } from './bidding.js';
+
+// --- BATCH EXECUTION ---
+// Every wallet of a cycle is funded by the same relayer. Its nonces are handed out centrally, in
+// wallet order, so the bursts can be broadcast concurrently without colliding.
+
+export function createNonceAllocator(startNonce) {
+    let next = startNonce;
+    return {
+        get next() {
+            return next;
+        },
+
+        // Gives the relayer's steps of a burst consecutive nonces, in burst order (as the strategies
+        // number them). Returns the steps whose nonce changed: their signatures are stale.
+        assign(steps, relayerAddress) {
+            const changed = [];
+            for (const step of steps) {
+                if (step.account.address !== relayerAddress) continue;
+                if (step.request.nonce !== next) {
+                    step.request = { ...step.request, nonce: next };
+                    changed.push(step);
+                }
+                next++;
+            }
+            return changed;
+        },
+    };
+}
+
+// The most the relayer can pay for one burst: the value it sends plus the gas of its own txs.
+// Replacements may raise a burst's spend up to MAX_SPEND_PER_WALLET, so that headroom is counted too.
+export function relayerBudget(steps, relayerAddress, maxSpendPerWallet) {
+    const relayerSteps = steps.filter(step => step.account.address === relayerAddress);
+    const value = relayerSteps.reduce((sum, { request }) => sum + (request.value ?? 0n), 0n);
+    const headroom = maxSpendPerWallet !== null && maxSpendPerWallet > worstCaseSpend(steps) ? maxSpendPerWallet - worstCaseSpend(steps) : 0n;
+    return value + worstCaseSpend(relayerSteps) + headroom;
+}
+
+// Runs `worker` over `items` with at most `limit` in flight; results keep the input order.
+export async function runConcurrently(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const lane = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await worker(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+    return results;
+}
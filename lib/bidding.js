@@ -0,0 +1,186 @@
+import { keccak256, formatEther, formatGwei } from 'viem';
+import chalk from 'chalk';
+import { bumpFees } from './gas.js';
+import { submitBundle, submitBurst, broadcastPublic } from './bundle.js';
+
+// --- GAS BIDDING ---
+// Keeps the signed burst competitive until it is mined. In public mode every step still pending is
+// re-signed with the same nonce and escalated fees each `intervalBlocks` blocks without inclusion, or
+// as soon as a competitor (sweeper or rival claim) shows a higher tip for the wallet. In bundle mode a
+// bundle that misses its BUNDLE_TARGET_BLOCKS window is re-priced and resubmitted. Bidding stops at
+// `deadlineBlocks` and never lets the worst-case gas spend of the burst exceed `maxSpendPerWallet`.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Worst case gas paid for the burst: the relayer's own gas plus the funding that covers the
+// compromised wallet's gas (or, without funding, gas the wallet pays from its own balance).
+export function worstCaseSpend(steps) {
+    return steps.reduce((total, { request }) => total + request.gas * request.maxFeePerGas, 0n);
+}
+
+async function findReceipt(publicClient, hashes) {
+    for (const hash of hashes) {
+        try {
+            return await publicClient.getTransactionReceipt({ hash });
+        } catch {
+            // Not mined under this hash
+        }
+    }
+    return null;
+}
+
+// Marks pending bids as included (under whichever of their hashes was mined) or lost (the nonce was
+// used by someone else's tx, e.g. a sweeper holding the same key). The nonce and the receipts can come
+// from different RPC endpoints, and a lagging one may not have our receipt yet: a used nonce without a
+// receipt only stops the bid's replacements (`nonceUsed`), and the bid is declared lost when bidding ends.
+export async function refreshBids(publicClient, bids, { final = false } = {}) {
+    for (const bid of bids.filter(bid => bid.status === 'pending')) {
+        const nonce = await publicClient.getTransactionCount({ address: bid.account.address });
+        const receipt = await findReceipt(publicClient, [bid.hash, ...bid.replaced]);
+        if (receipt) {
+            bid.status = 'included';
+            bid.hash = receipt.transactionHash;
+        } else if (nonce > bid.request.nonce) {
+            bid.nonceUsed = true;
+            if (!final) continue;
+            bid.status = 'lost';
+            console.log(chalk.red(`   - [Bid] ${bid.label} lost: nonce ${bid.request.nonce} was used by another transaction.`));
+        }
+    }
+}
+
+const biddable = (bid) => bid.status === 'pending' && !bid.nonceUsed;
+
+// Works out the escalated requests for every pending bid. Extra gas on the compromised wallet is paid
+// for by raising the (still pending) funding, or else out of a native extraction's value; a step that
+// cannot be covered keeps its fees. Returns null when the bump would break the spend cap.
+export function planReplacement(bids, { bumpPercent, maxSpendPerWallet, relayerAddress, symbol }, tipToBeat) {
+    const requests = new Map(bids.map(bid => [bid, bid.request]));
+    const fund = bids.find(bid => bid.label === 'Fund' && biddable(bid));
+    let extraFunding = 0n;
+
+    for (const bid of bids.filter(bid => biddable(bid) && bid !== fund)) {
+        const fees = bumpFees(bid.request, bumpPercent, tipToBeat);
+        const extraGas = bid.request.gas * (fees.maxFeePerGas - bid.request.maxFeePerGas);
+        if (bid.account.address === relayerAddress) {
+            requests.set(bid, { ...bid.request, ...fees });
+        } else if (fund) {
+            extraFunding += extraGas;
+            requests.set(bid, { ...bid.request, ...fees });
+        } else if (bid.request.to === relayerAddress && bid.request.value > extraGas) {
+            requests.set(bid, { ...bid.request, ...fees, value: bid.request.value - extraGas });
+        } else {
+            console.log(chalk.yellow(`   - [Bid] ${bid.label} cannot be bumped: the funding already landed.`));
+        }
+    }
+    if (fund) requests.set(fund, { ...fund.request, ...bumpFees(fund.request, bumpPercent, tipToBeat), value: fund.request.value + extraFunding });
+
+    const spend = worstCaseSpend([...requests.values()].map(request => ({ request })));
+    if (maxSpendPerWallet !== null && spend > maxSpendPerWallet) {
+        console.log(chalk.yellow(`   - [Bid] Spend cap reached: next bump would cost up to ${formatEther(spend)} ${symbol} (cap ${formatEther(maxSpendPerWallet)} ${symbol}). Holding current fees.`));
+        return null;
+    }
+    return { requests, spend };
+}
+
+async function replaceBids(bids, plan, { sign, onSigned, round, symbol }) {
+    const replacements = bids.filter(bid => plan.requests.get(bid) !== bid.request);
+    for (const bid of replacements) {
+        const previous = bid.request;
+        bid.request = plan.requests.get(bid);
+        bid.replaced.push(bid.hash);
+        bid.signedTx = await sign(bid);
+        bid.hash = keccak256(bid.signedTx);
+        console.log(chalk.magenta(`   - [Bid] Round ${round}: ${bid.label} tip ${formatGwei(previous.maxPriorityFeePerGas)} → ${formatGwei(bid.request.maxPriorityFeePerGas)} gwei, max fee ${formatGwei(previous.maxFeePerGas)} → ${formatGwei(bid.request.maxFeePerGas)} gwei`));
+    }
+    if (replacements.length > 0) {
+        console.log(chalk.magenta(`   - [Bid] Worst-case spend now ${formatEther(plan.spend)} ${symbol}.`));
+        onSigned(bids);
+    }
+    return replacements;
+}
+
+async function bidPublic({ publicClient, bids, sign, onSigned, policy, competitorTip, pollIntervalMs }) {
+    await broadcastPublic(publicClient, bids.map(bid => bid.signedTx));
+    const startBlock = await publicClient.getBlockNumber();
+    let lastBumpBlock = startBlock;
+    let lastOutbidTip = null;
+    let capped = false; // Fees only go up, so once the cap is hit there is nothing left to bid.
+    let round = 1;
+
+    while (true) {
+        await refreshBids(publicClient, bids);
+        const pending = bids.filter(bid => bid.status === 'pending');
+        if (pending.length === 0) break;
+
+        const head = await publicClient.getBlockNumber();
+        if (head - startBlock >= BigInt(policy.deadlineBlocks)) {
+            console.log(chalk.yellow(`   - [Bid] Deadline of ${policy.deadlineBlocks} blocks reached with ${pending.length} txs still pending.`));
+            break;
+        }
+
+        const tip = competitorTip();
+        const outbid = tip !== null && tip !== lastOutbidTip && pending.some(bid => biddable(bid) && bid.request.maxPriorityFeePerGas <= tip);
+        if (!capped && pending.some(biddable) && (outbid || head - lastBumpBlock >= BigInt(policy.intervalBlocks))) {
+            if (outbid) console.log(chalk.yellow(`   - [Bid] Competitor tip of ${formatGwei(tip)} gwei seen for this wallet.`));
+            lastOutbidTip = tip;
+            lastBumpBlock = head;
+            const plan = planReplacement(bids, policy, tip);
+            capped = !plan;
+            if (plan) {
+                // In burst order, so the raised funding reaches the node before the txs it pays for.
+                for (const bid of await replaceBids(bids, plan, { sign, onSigned, round: ++round, symbol: policy.symbol })) {
+                    await publicClient.sendRawTransaction({ serializedTransaction: bid.signedTx }).catch(error => {
+                        console.warn(chalk.yellow(`   - [Bid] Replacement for ${bid.label} rejected: ${error.details || error.message.split('\n')[0]}`));
+                    });
+                }
+            }
+        }
+        await sleep(pollIntervalMs);
+    }
+    await refreshBids(publicClient, bids, { final: true });
+    return bids.map(bid => (bid.status === 'lost' ? null : bid.hash));
+}
+
+async function bidBundle({ relay, publicClient, bids, sign, onSigned, policy, competitorTip, targetBlocks, publicFallback, pollIntervalMs }) {
+    const startBlock = await publicClient.getBlockNumber();
+    let round = 1;
+
+    while (true) {
+        const result = await submitBundle({ relay, publicClient, signedTxs: bids.map(bid => bid.signedTx), targetBlocks, pollIntervalMs });
+        if (result.included) return result.txHashes;
+
+        const head = await publicClient.getBlockNumber();
+        if (head - startBlock >= BigInt(policy.deadlineBlocks)) break;
+        const plan = planReplacement(bids, policy, competitorTip());
+        if (!plan) break;
+        await replaceBids(bids, plan, { sign, onSigned, round: ++round, symbol: policy.symbol });
+    }
+
+    if (!publicFallback) {
+        throw new Error(`Bundle was not included within ${policy.deadlineBlocks} blocks and public fallback is disabled.`);
+    }
+    console.log(chalk.bgYellow.black('   - [Bundle] Falling back to public burst.'));
+    return broadcastPublic(publicClient, bids.map(bid => bid.signedTx));
+}
+
+// Signs and submits `steps` ({ label, account, request }) and bids until they are mined. `onSigned(bids)`
+// runs before every broadcast, including replacements. Returns the mined (or last sent) hash of each
+// step in order, null for a step whose nonce was taken by another tx.
+export async function bidBurst({ mode, relay, publicClient, steps, sign, onSigned, policy, competitorTip = () => null, targetBlocks, publicFallback, pollIntervalMs = 1000 }) {
+    const bids = [];
+    for (const step of steps) {
+        const signedTx = await sign(step);
+        bids.push({ ...step, signedTx, hash: keccak256(signedTx), replaced: [], status: 'pending' });
+    }
+    onSigned(bids);
+
+    // Replacements disabled: a single submission, as before.
+    if (policy.deadlineBlocks <= 0) {
+        return submitBurst({ mode, relay, publicClient, signedTxs: bids.map(bid => bid.signedTx), targetBlocks, publicFallback, pollIntervalMs });
+    }
+    if (mode === 'bundle') {
+        return bidBundle({ relay, publicClient, bids, sign, onSigned, policy, competitorTip, targetBlocks, publicFallback, pollIntervalMs });
+    }
+    return bidPublic({ publicClient, bids, sign, onSigned, policy, competitorTip, pollIntervalMs });
+}
@@ -0,0 +1,117 @@
+import { keccak256, stringToHex, toHex } from 'viem';
+import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
+import chalk from 'chalk';
+
+// --- PRIVATE BUNDLE SUBMISSION ---
+// Sends the signed Fund → Claim → Extract burst to a builder/relay as a single bundle
+// (eth_sendBundle), so the funding tx never touches the public mempool.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createBundleRelay({ relayUrl, authPk }) {
+    if (!relayUrl) throw new Error('BUNDLE_RELAY_URL is required when SUBMISSION_MODE=bundle.');
+    // The auth key only identifies us to the relay (reputation); it never holds funds.
+    const authAccount = privateKeyToAccount(authPk || generatePrivateKey());
+    let requestId = 0;
+
+    async function request(method, params) {
+        const body = JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params });
+        const signature = await authAccount.signMessage({ message: keccak256(stringToHex(body)) });
+        const response = await fetch(relayUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Flashbots-Signature': `${authAccount.address}:${signature}` },
+            body,
+        });
+        const text = await response.text();
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            throw new Error(`Relay returned a non-JSON response (HTTP ${response.status}): ${text.slice(0, 200)}`);
+        }
+        if (payload.error) throw new Error(`Relay ${method} error: ${payload.error.message || JSON.stringify(payload.error)}`);
+        return payload.result;
+    }
+
+    return {
+        url: relayUrl,
+        callBundle: (txs, blockNumber) => request('eth_callBundle', [{ txs, blockNumber: toHex(blockNumber), stateBlockNumber: 'latest' }]),
+        sendBundle: (txs, blockNumber) => request('eth_sendBundle', [{ txs, blockNumber: toHex(blockNumber) }]),
+    };
+}
+
+async function findIncludedReceipt(publicClient, txHashes) {
+    // The last tx of the bundle can only land if the whole bundle landed.
+    try {
+        return await publicClient.getTransactionReceipt({ hash: txHashes[txHashes.length - 1] });
+    } catch {
+        return null;
+    }
+}
+
+// Submits `signedTxs` for every block from head+1 up to head+targetBlocks, re-sending on each new
+// head until the bundle is included or the window expires.
+export async function submitBundle({ relay, publicClient, signedTxs, targetBlocks = 5, simulate = true, pollIntervalMs = 1000 }) {
+    const txHashes = signedTxs.map(tx => keccak256(tx));
+    const startBlock = await publicClient.getBlockNumber();
+    const lastTargetBlock = startBlock + BigInt(targetBlocks);
+
+    if (simulate) {
+        const simulation = await relay.callBundle(signedTxs, startBlock + 1n);
+        const failed = (simulation?.results || []).find(result => result.error || result.revert);
+        if (failed) {
+            throw new Error(`Bundle simulation failed on ${failed.txHash}: ${failed.revert || failed.error}`);
+        }
+        console.log(chalk.blue(`   - [Bundle] Simulation OK against block ${startBlock + 1n}.`));
+    }
+
+    let lastSubmittedBlock = startBlock;
+    while (true) {
+        const head = await publicClient.getBlockNumber();
+
+        const receipt = await findIncludedReceipt(publicClient, txHashes);
+        if (receipt) {
+            console.log(chalk.green(`   - [Bundle] Included in block ${receipt.blockNumber}.`));
+            return { included: true, blockNumber: receipt.blockNumber, txHashes };
+        }
+        if (head >= lastTargetBlock) {
+            console.log(chalk.yellow(`   - [Bundle] Not included between blocks ${startBlock + 1n} and ${lastTargetBlock}.`));
+            return { included: false, txHashes };
+        }
+
+        if (head >= lastSubmittedBlock) {
+            for (let block = head + 1n; block <= lastTargetBlock; block++) {
+                try {
+                    await relay.sendBundle(signedTxs, block);
+                } catch (error) {
+                    console.warn(chalk.yellow(`   - [Bundle] Submission for block ${block} failed: ${error.message}`));
+                }
+            }
+            console.log(chalk.magenta(`   - [Bundle] Submitted to ${relay.url} for blocks ${head + 1n}..${lastTargetBlock}.`));
+            lastSubmittedBlock = head + 1n;
+        }
+
+        await sleep(pollIntervalMs);
+    }
+}
+
+// Public-mempool fallback: broadcasts the same signed txs as raw transactions, in order.
+export async function broadcastPublic(publicClient, signedTxs) {
+    return Promise.all(signedTxs.map(serializedTransaction => publicClient.sendRawTransaction({ serializedTransaction })));
+}
+
+// Sends the signed burst according to SUBMISSION_MODE and returns the tx hashes in order.
+export async function submitBurst({ mode, relay, publicClient, signedTxs, targetBlocks, publicFallback, pollIntervalMs }) {
+    if (mode !== 'bundle') {
+        return broadcastPublic(publicClient, signedTxs);
+    }
+
+    const result = await submitBundle({ relay, publicClient, signedTxs, targetBlocks, pollIntervalMs });
+    if (result.included) return result.txHashes;
+
+    if (!publicFallback) {
+        throw new Error(`Bundle was not included within ${targetBlocks} blocks and public fallback is disabled.`);
+    }
+    console.log(chalk.bgYellow.black('   - [Bundle] Falling back to public burst.'));
+    return broadcastPublic(publicClient, signedTxs);
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import { defineChain } from 'viem';
+
+// --- CHAIN PROFILES ---
+// Everything that differs between networks: RPC endpoints, how fees are estimated, which tx type is
+// signed, block time and fallback gas limits. Built-in profiles live in chains.json next to this
+// package; CHAINS_FILE adds custom ones (or overrides built-ins by name). A profile's optional `env`
+// block holds per-chain .env values (AIRDROP_CONTRACT_ADDRESS, TOKEN_ADDRESS, ...), which is what
+// makes running several chains at once possible.
+
+const BUILTIN_CHAINS_FILE = new URL('../chains.json', import.meta.url);
+
+export const FEE_ESTIMATION_METHODS = ['linea_estimateGas', 'eth_feeHistory', 'legacy'];
+const TX_TYPES = ['eip1559', 'legacy'];
+
+// Used when a strategy's gas estimation fails (e.g. the claim reverts before the airdrop is funded).
+const DEFAULT_GAS_LIMITS = { nativeTransfer: 21000, claim: 120000, tokenTransfer: 80000, permitRescue: 150000 };
+
+function normalizeProfile(key, profile) {
+    const fail = (message) => { throw new Error(`Chain profile "${key}": ${message}`); };
+    if (!Number.isInteger(profile.chainId)) fail('chainId must be an integer.');
+    if (!Array.isArray(profile.rpcUrls)) fail('rpcUrls must be a list of URLs.');
+    const feeEstimation = profile.feeEstimation || 'eth_feeHistory';
+    if (!FEE_ESTIMATION_METHODS.includes(feeEstimation)) fail(`feeEstimation must be one of ${FEE_ESTIMATION_METHODS.join(', ')}.`);
+    const txType = profile.txType || 'eip1559';
+    if (!TX_TYPES.includes(txType)) fail(`txType must be one of ${TX_TYPES.join(', ')}.`);
+
+    return {
+        key,
+        name: profile.name || key,
+        chainId: profile.chainId,
+        nativeCurrency: profile.nativeCurrency || 'ETH',
+        rpcUrls: profile.rpcUrls,
+        wsUrls: profile.wsUrls || [],
+        estimationRpcUrl: profile.estimationRpcUrl, // Separate linea_estimateGas endpoint, optional
+        feeEstimation,
+        txType,
+        blockTimeMs: profile.blockTimeMs || 12000,
+        gasLimits: { ...DEFAULT_GAS_LIMITS, ...profile.gasLimits },
+        env: profile.env || {},
+    };
+}
+
+export function loadChainProfiles(chainsFile) {
+    const read = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const raw = { ...read(BUILTIN_CHAINS_FILE), ...(chainsFile ? read(chainsFile) : {}) };
+    return Object.fromEntries(Object.entries(raw).map(([key, profile]) => [key, normalizeProfile(key, profile)]));
+}
+
+export function getChainProfile(key, chainsFile) {
+    const profiles = loadChainProfiles(chainsFile);
+    if (!profiles[key]) throw new Error(`Unknown chain profile "${key}". Available: ${Object.keys(profiles).join(', ')}`);
+    return profiles[key];
+}
+
+// Without --chain/CHAIN the chain is whatever RPC_HTTP_URLS points at. A known chain ID still gets its
+// profile's fee model; anything else gets EIP-1559 with eth_feeHistory (or linea_estimateGas when
+// INFURA_RPC_URL is set, as before profiles existed).
+export function detectChainProfile(chainId, { chainsFile, lineaEstimation = false } = {}) {
+    const known = Object.values(loadChainProfiles(chainsFile)).find(profile => profile.chainId === chainId);
+    if (known) return known;
+    return normalizeProfile('custom', { chainId, name: `Chain ${chainId}`, rpcUrls: [], feeEstimation: lineaEstimation ? 'linea_estimateGas' : 'eth_feeHistory' });
+}
+
+// The profile's settings as .env values, underneath its own `env` block and above the real .env.
+// Endpoints are the exception: RPC_HTTP_URLS / WS_URLS from the .env (private or paid RPCs, a
+// websocket for the mempool watch) win over the profile's public defaults.
+export function profileEnv(profile, env) {
+    return {
+        ...env,
+        RPC_HTTP_URLS: env.RPC_HTTP_URLS || profile.rpcUrls.join(','),
+        WS_URLS: env.WS_URLS || profile.wsUrls.join(','),
+        INFURA_RPC_URL: profile.estimationRpcUrl || env.INFURA_RPC_URL,
+        ...profile.env,
+    };
+}
+
+export function toViemChain(profile, rpcUrls) {
+    return defineChain({
+        id: profile.chainId,
+        name: profile.name,
+        nativeCurrency: { name: profile.nativeCurrency, symbol: profile.nativeCurrency, decimals: 18 },
+        rpcUrls: { default: { http: rpcUrls } },
+        blockTime: profile.blockTimeMs,
+    });
+}
+
+// Fees travel through the engine as { maxFeePerGas, maxPriorityFeePerGas }. Legacy chains carry the
+// gas price in both fields, so it is only turned into `gasPrice` here, right before signing.
+export function toSignableRequest(profile, request) {
+    if (profile.txType !== 'legacy') return { type: 'eip1559', ...request };
+    const { maxFeePerGas, maxPriorityFeePerGas, ...rest } = request;
+    return { type: 'legacy', ...rest, gasPrice: maxFeePerGas };
+}
@@ -0,0 +1,132 @@
+import { parseAbiItem, encodeFunctionData, getAddress, toFunctionSignature } from 'viem';
+
+// --- CLAIM CALLDATA & ELIGIBILITY ---
+// CLAIM_ARGS / ELIGIBILITY_ARGS list one source per function parameter:
+//   account  the compromised wallet          secure  the relayer (secure) wallet
+//   amount   the wallet's allocation         index   the wallet's merkle-distributor index
+//   proof    the wallet's merkle proof
+// Anything else is a literal cast to the parameter type (scalars only). When the list is empty the
+// sources are inferred from the parameter names.
+
+const NAME_HINTS = {
+    account: ['account', 'user', 'recipient', 'claimant', 'beneficiary', 'to', 'owner', 'wallet'],
+    amount: ['amount', 'value', 'allocation', 'totalamount', 'cumulativeamount'],
+    index: ['index', 'id'],
+    proof: ['proof', 'proofs', 'merkleproof'],
+};
+
+// Used when only the legacy CLAIM_FUNCTION_HEX is configured, to keep the original allocation check.
+const LEGACY_ELIGIBILITY = 'calculateAllocation(address account) view returns (uint256)';
+
+export function parseFunction(signature) {
+    const text = signature.trim();
+    return parseAbiItem(text.startsWith('function ') ? text : `function ${text}`);
+}
+
+function inferSource(param) {
+    const name = (param.name || '').replace(/^_+/, '').toLowerCase();
+    return Object.keys(NAME_HINTS).find(source => NAME_HINTS[source].includes(name));
+}
+
+function resolveSources(abiItem, explicit, label) {
+    if (explicit.length > 0) {
+        if (explicit.length !== abiItem.inputs.length) {
+            throw new Error(`${label}: ${abiItem.name} takes ${abiItem.inputs.length} arguments but ${explicit.length} were given.`);
+        }
+        return explicit;
+    }
+    return abiItem.inputs.map((param, i) => {
+        const source = inferSource(param);
+        if (!source) throw new Error(`${label}: cannot infer argument #${i + 1} (${param.type} ${param.name || 'unnamed'}) of ${abiItem.name}. Set ${label} explicitly.`);
+        return source;
+    });
+}
+
+export function castLiteral(value, type) {
+    if (type.endsWith(']')) throw new Error(`Literal arrays are not supported (${type}). Use "proof" or a merkle proofs file.`);
+    if (type.startsWith('uint') || type.startsWith('int')) return BigInt(value);
+    if (type === 'bool') return value === 'true';
+    if (type === 'address') return getAddress(value);
+    return value;
+}
+
+function resolveArgs(abiItem, sources, wallet, secureAddress) {
+    return sources.map((source, i) => {
+        switch (source) {
+            case 'account': return wallet.address;
+            case 'secure': return secureAddress;
+            case 'amount': return wallet.amount;
+            case 'index':
+                if (wallet.index === undefined) throw new Error(`no merkle index for ${wallet.address}`);
+                return BigInt(wallet.index);
+            case 'proof':
+                if (!wallet.proof) throw new Error(`no merkle proof for ${wallet.address}`);
+                return wallet.proof;
+            default: return castLiteral(source, abiItem.inputs[i].type);
+        }
+    });
+}
+
+function createEligibilityCheck(claim) {
+    const signature = claim.eligibility || (claim.signature ? 'none' : LEGACY_ELIGIBILITY);
+    if (signature === 'none') return null;
+
+    const abiItem = parseFunction(signature);
+    const outputType = abiItem.outputs[0]?.type;
+    if (abiItem.outputs.length !== 1 || !(outputType === 'bool' || outputType.startsWith('uint'))) {
+        throw new Error(`ELIGIBILITY_FUNCTION must return a single bool or uint (e.g. "isClaimed(uint256 index) view returns (bool)"). Got: ${signature}`);
+    }
+    return {
+        abiItem,
+        sources: resolveSources(abiItem, claim.eligibilityArgs, 'ELIGIBILITY_ARGS'),
+        expect: (claim.eligibilityExpect || 'false') === 'true',
+        isAllocation: outputType !== 'bool',
+    };
+}
+
+export function createClaimBuilder({ airdropAddress, claim }) {
+    const claimFn = claim.signature ? parseFunction(claim.signature) : null;
+    const claimSources = claimFn ? resolveSources(claimFn, claim.args, 'CLAIM_ARGS') : [];
+    const eligibility = createEligibilityCheck(claim);
+
+    const builder = {
+        describe() {
+            const call = claimFn ? toFunctionSignature(claimFn) : `${claim.selector} (raw selector)`;
+            return `Claim: ${call} | Eligibility: ${eligibility ? toFunctionSignature(eligibility.abiItem) : 'none'}`;
+        },
+
+        buildCall(wallet, secureAddress) {
+            if (!claimFn) return { to: airdropAddress, data: claim.selector };
+            const args = resolveArgs(claimFn, claimSources, wallet, secureAddress);
+            return { to: airdropAddress, data: encodeFunctionData({ abi: [claimFn], functionName: claimFn.name, args }) };
+        },
+
+        // Returns the on-chain allocation, or null when the check has no amount of its own (no check, or
+        // a bool one such as isClaimed): only the wallet's configured amount is known then.
+        async checkEligibility(publicClient, wallet, secureAddress) {
+            if (!eligibility) return { eligible: true, allocation: null };
+
+            const { abiItem, sources, expect, isAllocation } = eligibility;
+            const result = await publicClient.readContract({ address: airdropAddress, abi: [abiItem], functionName: abiItem.name, args: resolveArgs(abiItem, sources, wallet, secureAddress) });
+            if (isAllocation) {
+                return { eligible: result >= wallet.amount, allocation: result, reason: 'Insufficient allocation.' };
+            }
+            return { eligible: result === expect, allocation: null, reason: `${abiItem.name} returned ${result}.` };
+        },
+
+        // Encodes every wallet's claim (and eligibility) call up front so bad arguments fail before the run.
+        validate(wallets, secureAddress) {
+            const errors = [];
+            for (const wallet of wallets) {
+                try {
+                    builder.buildCall(wallet, secureAddress);
+                    if (eligibility) encodeFunctionData({ abi: [eligibility.abiItem], functionName: eligibility.abiItem.name, args: resolveArgs(eligibility.abiItem, eligibility.sources, wallet, secureAddress) });
+                } catch (error) {
+                    errors.push(`${wallet.address}: ${error.shortMessage || error.message}`);
+                }
+            }
+            if (errors.length > 0) throw new Error(`Invalid claim arguments:\n  ${errors.join('\n  ')}`);
+        },
+    };
+    return builder;
+}
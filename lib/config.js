@@ -0,0 +1,159 @@
+import { getAddress, parseGwei, parseEther } from 'viem';
+import { getChainProfile, profileEnv } from './chains.js';
+
+// --- CONFIGURATION ---
+// Single place where the .env is parsed. Strategies declare which of these keys they need
+// through `requiredConfig` and the engine validates them before anything touches the chain.
+
+const address = (value) => (value ? getAddress(value.trim()) : undefined);
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+// Unix seconds or an ISO date ("2025-06-01T12:00:00Z").
+function timestamp(value) {
+    if (!value) return undefined;
+    const seconds = /^\d+$/.test(value.trim()) ? Number(value) : Date.parse(value) / 1000;
+    if (Number.isNaN(seconds)) throw new Error(`Invalid timestamp "${value}": use unix seconds or an ISO date.`);
+    return BigInt(Math.floor(seconds));
+}
+
+// A file descriptor number (0 = stdin, 3 for `3<file`), kept as given.
+export function fileDescriptor(value, name) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string' || !/^\d+$/.test(value.trim())) throw new Error(`${name} must be a file descriptor number, e.g. 3 with \`3<passphrase.txt\`. Got: ${value}`);
+    return value.trim();
+}
+
+// CHAIN selects a chain profile (see lib/chains.js); its RPCs and `env` block override the .env.
+export function loadConfig(baseEnv = process.env) {
+    const chainProfile = baseEnv.CHAIN ? getChainProfile(baseEnv.CHAIN, baseEnv.CHAINS_FILE) : null;
+    const env = chainProfile ? profileEnv(chainProfile, baseEnv) : baseEnv;
+    return {
+        chainProfile, // null: detected from RPC_HTTP_URLS at startup
+        chainsFile: env.CHAINS_FILE, // Custom chain profiles, merged over the built-in chains.json
+        relayerPk: env.SECURE, // Your secure wallet's private key (plaintext; prefer RELAYER_KEYSTORE or the vault)
+        relayerSigner: env.RELAYER_SIGNER, // env | keystore | vault, see lib/signers.js
+        rpcUrls: list(env.RPC_HTTP_URLS),
+        wsUrls: list(env.WS_URLS),
+        airdropAddress: address(env.AIRDROP_CONTRACT_ADDRESS),
+        claim: {
+            signature: env.CLAIM_FUNCTION, // e.g. "claim(uint256 index, address account, uint256 amount, bytes32[] merkleProof)"
+            selector: env.CLAIM_FUNCTION_HEX, // Legacy: bare 4-byte selector of an argument-less claim()
+            args: list(env.CLAIM_ARGS), // Argument sources, see lib/claim.js. Inferred from parameter names when empty
+            eligibility: env.ELIGIBILITY_FUNCTION, // e.g. "isClaimed(uint256 index) view returns (bool)", or "none"
+            eligibilityArgs: list(env.ELIGIBILITY_ARGS),
+            eligibilityExpect: env.ELIGIBILITY_EXPECT, // Expected bool result, defaults to false ("not claimed yet")
+        },
+        gasMultiplier: parseFloat(env.GAS_MULTIPLIER || '1.2'),
+        gasPriorityMultiplier: parseFloat(env.GAS_PRIORITY_MULTIPLIER || '1.5'),
+        infuraRpcUrl: env.INFURA_RPC_URL, // linea_estimateGas endpoint, used when set
+        bidding: {
+            bumpPercent: parseFloat(env.GAS_BUMP_PERCENT || '15'), // Fee increase per replacement; nodes require at least 10
+            intervalBlocks: parseInt(env.GAS_BUMP_INTERVAL_BLOCKS || '1', 10), // Blocks without inclusion before the next bump (public mode)
+            deadlineBlocks: parseInt(env.GAS_BUMP_DEADLINE_BLOCKS || '10', 10), // Stop bidding after this many blocks; 0 disables replacements
+            maxSpendPerWallet: env.MAX_SPEND_PER_WALLET ? parseEther(env.MAX_SPEND_PER_WALLET) : null, // Worst-case gas spend cap per wallet, in the chain's native currency
+        },
+
+        // Strategy specific
+        tokenAddress: address(env.TOKEN_ADDRESS),
+        permitContractAddress: address(env.PERMIT_CONTRACT_ADDRESS),
+        minFundingThreshold: parseGwei(env.MIN_FUNDING_THRESHOLD_GWEI || '0.1'), // Minimum ETH balance on airdrop contract to trigger rescues
+
+        // What starts the rescue, see lib/triggers.js. Without any TRIGGER_* the strategy's own trigger is used.
+        trigger: {
+            mode: (env.TRIGGER_MODE || 'all').toLowerCase(), // 'all' configured triggers must hold, or 'any' one of them
+            block: env.TRIGGER_BLOCK ? BigInt(env.TRIGGER_BLOCK) : undefined,
+            timestamp: timestamp(env.TRIGGER_TIMESTAMP),
+            view: env.TRIGGER_VIEW, // e.g. "claimActive() view returns (bool)"
+            viewAddress: address(env.TRIGGER_VIEW_ADDRESS), // Defaults to the airdrop contract
+            viewArgs: list(env.TRIGGER_VIEW_ARGS), // Literal arguments
+            viewExpect: env.TRIGGER_VIEW_EXPECT || 'true',
+            event: env.TRIGGER_EVENT, // e.g. "MerkleRootSet(bytes32 root)"
+            eventAddress: address(env.TRIGGER_EVENT_ADDRESS), // Defaults to the airdrop contract
+            eventArgs: list(env.TRIGGER_EVENT_ARGS), // Indexed argument filters, e.g. "to=0x..."
+            balance: env.TRIGGER_BALANCE ? BigInt(env.TRIGGER_BALANCE) : undefined, // Minimum airdrop contract balance, in wei or token units
+            balanceToken: address(env.TRIGGER_BALANCE_TOKEN), // Watch this token's balance instead of the native one
+            warmupBlocks: parseInt(env.TRIGGER_WARMUP_BLOCKS || '5', 10), // Re-sign the bursts every N blocks until it fires; 0 disables
+        },
+
+        preflightSimulation: env.PREFLIGHT_SIMULATION !== 'false', // Simulate every burst before broadcasting it
+        concurrency: parseInt(env.RESCUE_CONCURRENCY || '5', 10), // Wallets prepared and broadcast at the same time
+
+        sweeper: {
+            enabled: env.SWEEPER_DETECTION !== 'false',
+            lookbackBlocks: parseInt(env.SWEEPER_LOOKBACK_BLOCKS || '20', 10), // Blocks scanned at startup
+            watchMempool: env.SWEEPER_WATCH_MEMPOOL !== 'false', // newPendingTransactions, websocket only
+            allowPublic: env.SWEEPER_ALLOW_PUBLIC === 'true', // Allow the public burst even when a sweeper is seen
+            recordFile: env.SWEEPER_RECORD_FILE, // Save observed traffic as a replayable fixture
+            fixtureFile: env.SWEEPER_FIXTURE, // Replay a recorded fixture instead of watching the chain
+        },
+
+        // Wallet inputs
+        pkFile: env.PK_FILE || 'pk.txt',
+        keystore: {
+            vaultFile: env.VAULT_FILE, // Encrypted vault with the relayer and compromised keys, replaces pk.txt
+            relayerKeystore: env.RELAYER_KEYSTORE, // V3 keystore file of the relayer
+            keystoreFiles: list(env.KEYSTORE_FILES), // V3 keystore files (or directories) of the compromised wallets, replaces pk.txt
+            passphraseFd: fileDescriptor(env.KEYSTORE_PASSPHRASE_FD, 'KEYSTORE_PASSPHRASE_FD'), // Read the passphrase from this file descriptor instead of prompting
+        },
+        allocationsFile: env.ALLOCATIONS_FILE || 'allocations.json',
+        proofsFile: env.MERKLE_PROOFS_FILE, // merkle-distributor JSON; replaces allocations.json when set
+        journalFile: env.JOURNAL_FILE || 'rescue-journal.jsonl',
+
+        // Structured output: event stream (lib/events.js), cycle reports (lib/report.js), webhooks (lib/notify.js)
+        eventLogFile: env.EVENT_LOG_FILE, // JSON lines, one per event; off when unset
+        report: {
+            dir: env.REPORT_DIR || 'reports',
+            formats: list(env.REPORT_FORMAT || 'json,csv').filter(format => format !== 'none'), // Export of every cycle; "none" disables it
+        },
+        webhook: {
+            url: env.WEBHOOK_URL, // Notified when a trigger fires and when a wallet is rescued or fails
+            format: env.WEBHOOK_FORMAT, // generic | telegram | discord, guessed from the URL when unset
+            telegramChatId: env.WEBHOOK_TELEGRAM_CHAT_ID,
+        },
+
+        submission: {
+            mode: (env.SUBMISSION_MODE || 'public').toLowerCase(), // 'public' burst or private 'bundle' via BUNDLE_RELAY_URL
+            relayUrl: env.BUNDLE_RELAY_URL,
+            authPk: env.BUNDLE_AUTH_PK, // Optional relay reputation key; a throwaway key is used if unset
+            targetBlocks: parseInt(env.BUNDLE_TARGET_BLOCKS || '5', 10),
+            publicFallback: env.BUNDLE_PUBLIC_FALLBACK === 'true',
+        },
+    };
+}
+
+// One config per chain profile, for running several chains at once (`--chain=linea,base` or CHAIN).
+// Without profiles this is just the .env config.
+export function loadChainConfigs(chains, env = process.env) {
+    const keys = list(chains ?? env.CHAIN);
+    if (keys.length === 0) return [loadConfig(env)];
+    // The .env endpoints belong to one chain; with several, each takes its profile's (or its `env` block's).
+    const shared = keys.length > 1 ? { ...env, RPC_HTTP_URLS: undefined, WS_URLS: undefined } : env;
+    return keys.map(key => loadConfig({ ...shared, CHAIN: key }));
+}
+
+const COMMON_REQUIRED = ['rpcUrls', 'airdropAddress'];
+
+export function validateConfig(config, required = []) {
+    const missing = [...COMMON_REQUIRED, ...required].filter(key => {
+        const value = config[key];
+        return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    });
+    if (!config.relayerPk && !config.keystore.relayerKeystore && !config.keystore.vaultFile) missing.push('SECURE (or RELAYER_KEYSTORE / VAULT_FILE)');
+    if (!config.claim.signature && !config.claim.selector) missing.push('CLAIM_FUNCTION or CLAIM_FUNCTION_HEX');
+    if (missing.length > 0) {
+        throw new Error(`Critical environment variables are missing (${missing.join(', ')}). Please check your .env file.`);
+    }
+    if (!(config.bidding.bumpPercent >= 10)) {
+        throw new Error('GAS_BUMP_PERCENT must be at least 10: nodes reject smaller same-nonce replacements.');
+    }
+    const unknownFormat = config.report.formats.find(format => !['json', 'csv'].includes(format));
+    if (unknownFormat) {
+        throw new Error(`REPORT_FORMAT must list json and/or csv (or be "none"), got "${unknownFormat}".`);
+    }
+    if (!(config.concurrency >= 1)) {
+        throw new Error('RESCUE_CONCURRENCY must be at least 1.');
+    }
+    if (!['all', 'any'].includes(config.trigger.mode)) {
+        throw new Error(`TRIGGER_MODE must be "all" or "any", got "${config.trigger.mode}".`);
+    }
+    return config;
+}
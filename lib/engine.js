@@ -0,0 +1,574 @@
+import { createPublicClient, http, formatEther } from 'viem';
+import chalk from 'chalk';
+import { validateConfig } from './config.js';
+import { createRpcPool, printRpcPoolStatus, detectChain } from './rpc.js';
+import { loadWallets } from './wallets.js';
+import { loadWalletKeys } from './keystore.js';
+import { loadRelayerSigner, RELAYER_SIGNERS } from './signers.js';
+import { FEE_ESTIMATORS, bumpFees } from './gas.js';
+import { detectChainProfile, toViemChain, toSignableRequest } from './chains.js';
+import { createBundleRelay } from './bundle.js';
+import { bidBurst, worstCaseSpend } from './bidding.js';
+import { createNonceAllocator, relayerBudget, runConcurrently } from './batch.js';
+import { awaitReceipts, describeAsset, measureBurst, printFinalReport, summarizeCycle, printCycleReport, exportCycleReport } from './report.js';
+import { createEventStream } from './events.js';
+import { createNotifier } from './notify.js';
+import { createClaimBuilder } from './claim.js';
+import { simulateBurst, printSimulation } from './simulate.js';
+import { openJournal, reconcileJournal, reconcileEntry, sentHashes } from './journal.js';
+import { createSweeperWatcher, printSweeperReport } from './sweeper.js';
+import { createTriggers, listenForTriggers } from './triggers.js';
+
+// --- RESCUE ENGINE ---
+// Runs the Fund → Claim → Extract burst for every compromised wallet. Everything that depends on
+// the asset being rescued (how the burst is built, what triggers it) comes from the strategy.
+export class RescueEngine {
+    constructor({ config, strategy }) {
+        this.config = validateConfig(config, strategy.requiredConfig);
+        this.strategy = strategy;
+        this.claim = createClaimBuilder(config);
+        this.journal = openJournal(config.journalFile);
+        // The relay is also kept when only configured, as the escape route once a sweeper shows up.
+        this.bundleRelay = config.submission.mode === 'bundle' || config.submission.relayUrl ? createBundleRelay(config.submission) : null;
+        this.events = createEventStream({ file: config.eventLogFile });
+        this.notifier = config.webhook.url ? createNotifier(config.webhook) : null;
+        if (this.notifier) this.events.subscribe(this.notifier.notify);
+        this.wallets = [];
+        this.cyclesStarted = 0; // Lets a background warm-up tell that a cycle ran while it was signing
+    }
+
+    // Structured event, tagged with the chain so several engines can share one EVENT_LOG_FILE.
+    emit(type, fields) {
+        return this.events.emit(type, { chain: this.profile?.key ?? null, chainId: this.chain?.id ?? null, ...fields });
+    }
+
+    get publicClient() {
+        return this.rpc.client;
+    }
+
+    async init() {
+        const { rpcUrls, infuraRpcUrl, chainProfile, chainsFile } = this.config;
+        const { id: chainId, url: detectedFrom } = await detectChain(rpcUrls);
+        this.profile = chainProfile ?? detectChainProfile(chainId, { chainsFile, lineaEstimation: Boolean(infuraRpcUrl) });
+        if (this.profile.chainId !== chainId) {
+            throw new Error(`Chain profile "${this.profile.key}" expects chain ID ${this.profile.chainId}, but ${detectedFrom} reports ${chainId}.`);
+        }
+        this.chain = toViemChain(this.profile, rpcUrls);
+        this.rpc = createRpcPool({ urls: rpcUrls, chain: this.chain, refreshIntervalMs: Math.max(this.profile.blockTimeMs, 1000) });
+        await this.rpc.refresh();
+        this.rpc.start();
+        this.estimationClient = infuraRpcUrl ? createPublicClient({ chain: this.chain, transport: http(infuraRpcUrl) }) : null;
+
+        console.log(chalk.blue(`Network detected with Chain ID: ${this.chain.id} (${this.profile.name}, profile "${this.profile.key}")`));
+        console.log(chalk.blue(`Fee estimation: ${this.profile.feeEstimation} | Tx type: ${this.profile.txType} | Block time: ${this.profile.blockTimeMs}ms`));
+        if (infuraRpcUrl && this.profile.feeEstimation === 'linea_estimateGas') console.log(chalk.blue(`Estimation RPC: ${infuraRpcUrl}`));
+        printRpcPoolStatus(this.rpc.status());
+
+        // Auto strategies pick their concrete implementation once the chain is reachable.
+        if (this.strategy.resolve) {
+            this.strategy = await this.strategy.resolve(this);
+            validateConfig(this.config, this.strategy.requiredConfig);
+        }
+        this.asset = await describeAsset(this.publicClient, { strategy: this.strategy, chain: this.chain, tokenAddress: this.config.tokenAddress });
+
+        // Keys are decrypted after the chain checks, so a bad RPC never costs a passphrase prompt.
+        const relayer = await loadRelayerSigner(this.config);
+        this.relayerAccount = relayer.account;
+        this.relayerAddress = relayer.account.address;
+        console.log(chalk.blue(`Relayer: ${this.relayerAddress} (${RELAYER_SIGNERS[relayer.kind].description})`));
+        this.wallets = loadWallets(this.config, await loadWalletKeys(this.config));
+        this.claim.validate(this.wallets, this.relayerAddress);
+        this.triggers = createTriggers(this);
+        console.log(chalk.blue(this.claim.describe()));
+        await reconcileJournal(this.journal, this.publicClient, this.wallets.map(wallet => this.journalKey(wallet)));
+        if (this.config.sweeper.enabled) await this.startSweeperWatch();
+        if (this.wallets.length === 0) {
+            console.log(chalk.yellow('No compromised wallets with allocations found.'));
+        } else {
+            console.log(chalk.blue(`Will process ${this.wallets.length} wallets once the trigger fires.`));
+        }
+        if (this.config.eventLogFile) console.log(chalk.blue(`Event log: ${this.config.eventLogFile}`));
+        if (this.notifier) console.log(chalk.blue(`Webhook notifications: ${this.notifier.format}`));
+        this.emit('run.started', { strategy: this.strategy.name, relayer: this.relayerAddress, asset: this.asset.symbol, wallets: this.wallets.map(wallet => wallet.address), triggers: this.triggers.map(trigger => `${trigger.type}: ${trigger.description}`) });
+    }
+
+    async startSweeperWatch() {
+        const { sweeper, wsUrls } = this.config;
+        this.sweepers = createSweeperWatcher({ addresses: this.wallets.map(wallet => wallet.address), recordFile: sweeper.recordFile });
+        // Bursts of earlier runs are in the lookback window too.
+        this.sweepers.ignore(this.wallets.flatMap(wallet => sentHashes(this.journal.get(this.journalKey(wallet)))));
+        if (sweeper.fixtureFile) {
+            this.sweepers.replay(sweeper.fixtureFile);
+        } else {
+            await this.sweepers.start({ wsUrl: wsUrls[0], httpClient: this.publicClient, lookbackBlocks: sweeper.lookbackBlocks, watchMempool: sweeper.watchMempool });
+        }
+        printSweeperReport(this.sweepers.profiles());
+    }
+
+    async stop() {
+        this.rpc?.stop();
+        if (this.sweepers) await this.sweepers.stop();
+        await this.notifier?.flush();
+    }
+
+    // Fee estimation follows the chain profile: linea_estimateGas, eth_feeHistory or legacy gasPrice.
+    async estimateGas(tx, fallbackGasLimit) {
+        const context = {
+            publicClient: this.publicClient,
+            estimationClient: this.estimationClient,
+            account: this.relayerAccount,
+            multipliers: this.config,
+        };
+        const estimate = await FEE_ESTIMATORS[this.profile.feeEstimation](context, tx, fallbackGasLimit);
+        // Txs from the compromised wallet (or funding it) must be ordered ahead of its sweeper.
+        return this.outbidSweeper(estimate, this.sweepers?.profileFor(tx.from) ?? this.sweepers?.profileFor(tx.to));
+    }
+
+    outbidSweeper(estimate, profile) {
+        if (!profile?.swept || profile.maxTip === null || estimate.maxPriorityFeePerGas > profile.maxTip) return estimate;
+        const tip = profile.maxTip + profile.maxTip / 10n + 1n;
+        console.log(chalk.yellow(`   - Outbidding sweeper tip: ${estimate.maxPriorityFeePerGas} → ${tip} wei`));
+        return { ...estimate, maxPriorityFeePerGas: tip, maxFeePerGas: estimate.maxFeePerGas + (tip - estimate.maxPriorityFeePerGas) };
+    }
+
+    // Gas, spend caps and relayer budgets are paid in the chain's currency (ETH, BNB, MON, ...).
+    get nativeSymbol() {
+        return this.chain.nativeCurrency.symbol;
+    }
+
+    // Fallback gas limit from the chain profile: nativeTransfer, claim, tokenTransfer or permitRescue.
+    gasLimit(name) {
+        return BigInt(this.profile.gasLimits[name]);
+    }
+
+    // Polling cadence for inclusion checks, a fraction of the chain's block time.
+    get pollIntervalMs() {
+        return Math.max(250, Math.floor(this.profile.blockTimeMs / 4));
+    }
+
+    // A watched sweeper would drain the funding tx from the public mempool, so the burst goes through
+    // the relay only (no public fallback), or not at all.
+    submissionFor(wallet) {
+        const { mode, publicFallback } = this.config.submission;
+        if (!this.sweepers?.profileFor(wallet.address)?.swept || this.config.sweeper.allowPublic) return { mode, publicFallback };
+        if (this.bundleRelay) {
+            if (mode === 'public') console.log(chalk.yellow('   - Sweeper detected: switching this wallet to private bundle submission.'));
+            return { mode: 'bundle', publicFallback: false };
+        }
+        throw new Error('Sweeper detected on this wallet: refusing public submission. Set BUNDLE_RELAY_URL (or SWEEPER_ALLOW_PUBLIC=true).');
+    }
+
+    claimCall(wallet) {
+        return this.claim.buildCall(wallet, this.relayerAddress);
+    }
+
+    // Journal entries are scoped to the chain and airdrop, so one journal file can serve several runs.
+    journalKey(wallet) {
+        return `${this.chain.id}:${this.config.airdropAddress}:${wallet.address}`;
+    }
+
+    // The strategy's burst as ordered steps, or null when the strategy aborted (it logs why).
+    async buildSteps(wallet, { relayerNonce, compromisedNonce, allocation, extractOnly }) {
+        const burst = await this.strategy.buildBurst(this, { wallet, compromisedAccount: wallet.account, relayerNonce, compromisedNonce, allocation, extractOnly });
+        if (!burst) return null;
+        return [{ label: 'Fund', ...burst.fund }, { label: 'Claim', ...burst.claim }, { label: 'Extract', ...burst.extract }].filter(step => step.request);
+    }
+
+    signStep({ account, request }) {
+        return account.signTransaction({ chainId: this.chain.id, ...toSignableRequest(this.profile, request) });
+    }
+
+    // --- WARM-UP ---
+    // Until the trigger fires, every wallet's burst is built and signed ahead of time against the
+    // current nonces and fees, with relayer nonces handed out in wallet order as the batch will. When
+    // the trigger fires, a wallet whose nonce and allocation are unchanged skips straight to simulation.
+    async warmUp(blockNumber) {
+        if (this.warming || this.cycleRunning) return;
+        this.warming = true;
+        const cycles = this.cyclesStarted;
+        try {
+            const prepared = new Map();
+            const nonces = createNonceAllocator(await this.publicClient.getTransactionCount({ address: this.relayerAddress, blockTag: 'pending' }));
+            for (const wallet of this.wallets) {
+                const entry = this.journal.get(this.journalKey(wallet));
+                if (entry?.state === 'extracted' || entry?.state === 'sent') continue;
+                const extractOnly = entry?.state === 'claimed';
+                try {
+                    const eligibility = extractOnly ? { eligible: true, allocation: 0n } : await this.claim.checkEligibility(this.publicClient, wallet, this.relayerAddress);
+                    if (!eligibility.eligible) continue;
+                    const compromisedNonce = await this.publicClient.getTransactionCount({ address: wallet.address, blockTag: 'pending' });
+                    const context = { compromisedNonce, allocation: eligibility.allocation, extractOnly };
+                    const steps = await this.buildSteps(wallet, { ...context, relayerNonce: nonces.next });
+                    if (!steps) continue;
+                    nonces.assign(steps, this.relayerAddress);
+                    const signedTxs = new Map();
+                    for (const step of steps) signedTxs.set(step, await this.signStep(step));
+                    prepared.set(wallet.address, { ...context, steps, signedTxs, blockNumber });
+                } catch (error) {
+                    console.warn(chalk.yellow(`[WARM-UP] ${wallet.address}: ${(error.shortMessage || error.message).split('\n')[0]}`));
+                }
+            }
+            // A cycle that started meanwhile used (and journaled) the nonces these bursts were built on.
+            if (this.cycleRunning || this.cyclesStarted !== cycles) {
+                console.log(chalk.gray(`[WARM-UP] Bursts from block ${blockNumber} discarded: a rescue cycle started meanwhile.`));
+                return;
+            }
+            this.prepared = prepared;
+            console.log(chalk.gray(`[WARM-UP] ${prepared.size}/${this.wallets.length} bursts pre-signed at block ${blockNumber}.`));
+            this.emit('warmup.completed', { block: blockNumber, presigned: [...prepared.keys()] });
+        } catch (error) {
+            console.warn(chalk.yellow(`[WARM-UP] Failed: ${error.shortMessage || error.message}`));
+        } finally {
+            this.warming = false;
+        }
+    }
+
+    // Steps 1-3 of a wallet's rescue: eligibility, the burst (pre-signed by the warm-up when still valid),
+    // spend cap and simulation. Nothing is sent. `relayerNonce` only has to be valid for building the
+    // burst; the batch assigns the final relayer nonces. Returns null when the wallet is skipped or aborted.
+    async prepareWallet(wallet, { relayerNonce, dryRun = false }) {
+        const { address: compromisedAddress, amount: amountToClaim } = wallet;
+        const publicClient = this.publicClient;
+        const journalKey = this.journalKey(wallet);
+        let entry = this.journal.get(journalKey);
+        const prepared = this.prepared?.get(compromisedAddress);
+        this.prepared?.delete(compromisedAddress); // Single use: a retry builds afresh
+
+        // A burst still in the mempool may yet be mined, so it is never sent twice.
+        if (entry?.state === 'sent') {
+            const patch = await reconcileEntry(publicClient, entry);
+            if (!patch) {
+                console.log(chalk.gray(`\n⏳ ${compromisedAddress} burst still pending (journal), skipping.`));
+                if (!dryRun) this.reportWallet(wallet, { status: 'sent', reason: 'Burst still pending' });
+                return null;
+            }
+            entry = dryRun ? { ...entry, ...patch } : this.journal.record(journalKey, patch);
+        }
+        if (entry?.state === 'extracted') {
+            console.log(chalk.gray(`\n⏭️  ${compromisedAddress} already rescued (journal), skipping.`));
+            if (!dryRun) this.reportWallet(wallet, { status: 'skipped', reason: 'Already rescued' });
+            return null;
+        }
+        // A confirmed claim must not be sent again: only the extraction is retried.
+        const extractOnly = entry?.state === 'claimed';
+
+        console.log(chalk.yellow(`\n🚀 Starting ${this.strategy.name} rescue for: ${compromisedAddress} | Amount: ${amountToClaim.toString()}${extractOnly ? ' | Retrying extraction only' : ''}`));
+        if (!dryRun) this.journal.record(journalKey, { wallet: compromisedAddress, state: extractOnly ? 'claimed' : 'pending', attempts: (entry?.attempts || 0) + 1 });
+
+        try {
+            let allocation = 0n;
+            if (!extractOnly) {
+                console.log(chalk.blue('   - [Step 1/4] Verifying eligibility...'));
+                const eligibility = await this.claim.checkEligibility(publicClient, wallet, this.relayerAddress);
+                if (!eligibility.eligible) {
+                    console.log(chalk.red.bold(`   - ABORTED: ${eligibility.reason}`));
+                    if (!dryRun) this.settle(wallet, { state: 'failed', reason: eligibility.reason });
+                    return null;
+                }
+                allocation = eligibility.allocation;
+            }
+
+            const submission = this.submissionFor(wallet);
+
+            console.log('   - [Step 2/4] Fetching nonce...');
+            const compromisedNonce = await publicClient.getTransactionCount({ address: compromisedAddress, blockTag: 'pending' });
+
+            const build = () => this.buildSteps(wallet, { relayerNonce, compromisedNonce, allocation, extractOnly });
+            const { maxSpendPerWallet } = this.config.bidding;
+            const withinCap = (burst) => {
+                const spend = worstCaseSpend(burst);
+                console.log(`   - Worst-case gas spend: ${formatEther(spend)} ${this.nativeSymbol}${maxSpendPerWallet !== null ? ` (cap ${formatEther(maxSpendPerWallet)} ${this.nativeSymbol})` : ''}`);
+                if (maxSpendPerWallet === null || spend <= maxSpendPerWallet) return true;
+                console.log(chalk.red.bold(`   - ABORTED: The burst already exceeds MAX_SPEND_PER_WALLET.`));
+                if (!dryRun) this.settle(wallet, { state: extractOnly ? 'claimed' : 'failed', reason: 'Spend cap exceeded' });
+                return false;
+            };
+            const notBuilt = () => { // The strategy already logged why it aborted.
+                if (!dryRun) this.settle(wallet, { state: extractOnly ? 'claimed' : 'failed', reason: 'Burst not built (strategy aborted)' });
+                return null;
+            };
+
+            let steps;
+            let signedTxs = new Map();
+            const presigned = prepared && prepared.compromisedNonce === compromisedNonce && prepared.allocation === allocation && prepared.extractOnly === extractOnly;
+            if (presigned) {
+                console.log(`   - [Step 3/4] Using the burst pre-signed at block ${prepared.blockNumber}.`);
+                ({ steps, signedTxs } = prepared);
+            } else {
+                console.log('   - [Step 3/4] Building and estimating the burst...');
+                steps = await build();
+                if (!steps) return notBuilt();
+            }
+            if (!withinCap(steps)) return null;
+
+            // A pre-signed burst is always simulated: it was estimated before the claim opened, so it may
+            // carry fallback gas limits too low for the claim (e.g. a deep merkle proof). It is rebuilt
+            // with fresh estimates when it fails.
+            if (this.config.preflightSimulation || dryRun || presigned) {
+                let simulation = await simulateBurst({ publicClient, steps, tokenAddress: this.asset.token, secureAddress: this.relayerAddress });
+                printSimulation(simulation);
+                if (!simulation.ok && presigned) {
+                    console.log(chalk.yellow('   - The pre-signed burst fails now. Rebuilding it with fresh estimates...'));
+                    steps = await build();
+                    if (!steps) return notBuilt();
+                    signedTxs = new Map();
+                    if (!withinCap(steps)) return null;
+                    simulation = await simulateBurst({ publicClient, steps, tokenAddress: this.asset.token, secureAddress: this.relayerAddress });
+                    printSimulation(simulation);
+                }
+                if (!simulation.ok) {
+                    console.log(chalk.red.bold(`   - ABORTED: Pre-flight simulation failed.`));
+                    if (!dryRun) this.settle(wallet, { state: extractOnly ? 'claimed' : 'failed', reason: 'Pre-flight simulation failed' });
+                    return null;
+                }
+            }
+            if (!dryRun) this.emit('wallet.prepared', { wallet: compromisedAddress, extractOnly, allocation, presigned: signedTxs.size > 0, steps: steps.map(step => step.label), worstCaseSpend: worstCaseSpend(steps), mode: submission.mode });
+            return { wallet, journalKey, extractOnly, allocation, steps, signedTxs, submission };
+        } catch (error) {
+            console.error(chalk.red(`💥 Critical error for ${compromisedAddress}: ${error.message}`));
+            if (!dryRun) this.settle(wallet, { state: extractOnly ? 'claimed' : 'failed', reason: error.message.split('\n')[0] });
+            return null;
+        }
+    }
+
+    // Step 4: bids the prepared burst until it is mined, then reports and journals the outcome.
+    async sendBurst({ wallet, journalKey, extractOnly, allocation, steps, signedTxs, submission }) {
+        const { address: compromisedAddress } = wallet;
+        const publicClient = this.publicClient;
+        try {
+            // Signed locally so the same burst can go to a private relay or the public mempool, and be
+            // re-signed with higher fees when it gets outbid. Warm-up signatures are reused as they are.
+            const sign = (step) => signedTxs.get(step) ?? this.signStep(step);
+            // Recorded before every broadcast (replacements included), so a crash mid-send still leaves the hashes to reconcile against.
+            const onSigned = (bids) => {
+                const txs = Object.fromEntries(bids.map(bid => [bid.label.toLowerCase(), { hash: bid.hash, from: bid.account.address, nonce: bid.request.nonce, replaced: bid.replaced }]));
+                this.journal.record(journalKey, { state: 'sent', txs });
+                this.sweepers?.ignore(bids.flatMap(bid => [bid.hash, ...bid.replaced]));
+                this.emit('wallet.sent', { wallet: compromisedAddress, mode: submission.mode, txs });
+            };
+
+            console.log(chalk.red(`   - [Step 4/4] Sending atomic burst of ${steps.length} transactions for ${compromisedAddress} (${submission.mode})!`));
+            const hashes = await bidBurst({
+                ...submission,
+                relay: this.bundleRelay,
+                publicClient,
+                steps,
+                sign,
+                onSigned,
+                policy: { ...this.config.bidding, relayerAddress: this.relayerAddress, symbol: this.nativeSymbol },
+                competitorTip: () => this.sweepers?.profileFor(compromisedAddress)?.maxTip ?? null,
+                targetBlocks: this.config.submission.targetBlocks,
+                pollIntervalMs: this.pollIntervalMs,
+            });
+
+            console.log(chalk.magenta(`   - Transactions sent for ${compromisedAddress}. Awaiting results...`));
+            // Every tx of the burst is awaited, the funding one included: its gas and value are part of the cost.
+            const results = await awaitReceipts(publicClient, hashes);
+            const txs = Object.fromEntries(steps.map((step, i) => [step.label.toLowerCase(), { hash: hashes[i], result: results[i] }]));
+            const measured = await measureBurst(publicClient, { asset: this.asset, walletAddress: compromisedAddress, relayerAddress: this.relayerAddress, allocation: allocation ?? wallet.amount, txs });
+
+            const succeeded = (label) => txs[label]?.result.status === 'fulfilled' && txs[label].result.value.status === 'success';
+            let patch;
+            if (succeeded('extract')) {
+                patch = { state: 'extracted', claimed: true, reason: null };
+            } else if (extractOnly || succeeded('claim')) {
+                patch = { state: 'claimed', claimed: true, reason: 'Extraction failed' };
+            } else {
+                patch = { state: 'failed', reason: 'Claim failed' };
+            }
+            const report = this.settle(wallet, patch, measured);
+            printFinalReport(report, steps.map((step, i) => ({ label: step.label, hash: hashes[i], result: results[i] })));
+        } catch (error) {
+            console.error(chalk.red(`💥 Critical error for ${compromisedAddress}: ${error.message}`));
+            const current = this.journal.get(journalKey);
+            // Once the burst was handed to the network, only the receipts can tell what happened.
+            const patch = current.state === 'sent'
+                ? await reconcileEntry(publicClient, current).catch(() => null)
+                : { state: extractOnly ? 'claimed' : 'failed', reason: error.message.split('\n')[0] };
+            if (patch) {
+                this.settle(wallet, patch);
+            } else {
+                this.reportWallet(wallet, { status: 'sent', reason: error.message.split('\n')[0] });
+            }
+        }
+    }
+
+    // --- REPORTING ---
+
+    // Journals a wallet's final outcome for this cycle and reports it.
+    settle(wallet, patch, measured = {}) {
+        this.journal.record(this.journalKey(wallet), patch);
+        return this.reportWallet(wallet, { status: patch.state, reason: patch.reason ?? null, ...measured });
+    }
+
+    // Adds the wallet to the cycle report and emits it (wallet.result, which also drives the webhook).
+    reportWallet(wallet, fields) {
+        const report = {
+            chain: this.profile.key,
+            chainId: this.chain.id,
+            wallet: wallet.address,
+            status: null,
+            reason: null,
+            asset: this.asset.symbol,
+            decimals: this.asset.decimals,
+            nativeCurrency: this.nativeSymbol,
+            claimed: null,
+            extracted: null,
+            gasCost: null,
+            relayerSpend: null,
+            net: null,
+            fundTx: null,
+            claimTx: null,
+            extractTx: null,
+            ...fields,
+        };
+        this.cycleReports?.push(report);
+        this.emit('wallet.result', report);
+        return report;
+    }
+
+    // Prints, exports and emits the report of a finished cycle.
+    finishCycle({ startedAt, firing }) {
+        const order = new Map(this.wallets.map((wallet, i) => [wallet.address, i]));
+        const wallets = [...this.cycleReports].sort((a, b) => order.get(a.wallet) - order.get(b.wallet));
+        const cycle = {
+            chain: this.profile.key,
+            chainId: this.chain.id,
+            strategy: this.strategy.name,
+            relayer: this.relayerAddress,
+            asset: this.asset,
+            nativeCurrency: this.nativeSymbol,
+            trigger: firing ?? null,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            totals: summarizeCycle(wallets),
+            wallets,
+        };
+        printCycleReport(cycle);
+        let files = [];
+        try {
+            files = exportCycleReport(cycle, this.config.report);
+            if (files.length > 0) console.log(chalk.blue(`Report saved: ${files.join(', ')}`));
+        } catch (error) {
+            console.warn(chalk.yellow(`[REPORT] Export failed: ${error.message}`));
+        }
+        this.emit('cycle.completed', { startedAt, finishedAt: cycle.finishedAt, totals: cycle.totals, files });
+    }
+
+    // `firing` is what the trigger saw ({ block, triggers }), kept in the cycle report.
+    async runCycle(firing) {
+        // Funding events can arrive while a cycle is still running; the journal makes the next one idempotent.
+        if (this.cycleRunning) {
+            console.log(chalk.gray('[CYCLE] A rescue cycle is already running, ignoring trigger.'));
+            return false;
+        }
+        this.cycleRunning = true;
+        this.cyclesStarted++;
+        this.cycleReports = [];
+        const startedAt = new Date().toISOString();
+        this.emit('cycle.started', { trigger: firing ?? null });
+        try {
+            if (this.sweepers) printSweeperReport(this.sweepers.profiles());
+            printRpcPoolStatus(this.rpc.status());
+            await this.runWallets();
+            printRpcPoolStatus(this.rpc.status());
+            this.finishCycle({ startedAt, firing });
+            return true;
+        } finally {
+            this.cycleRunning = false;
+            this.cycleReports = null;
+        }
+    }
+
+    // --- BATCH ---
+    // Every wallet is prepared and simulated first, RESCUE_CONCURRENCY at a time, against the relayer's
+    // current nonce. The relayer's balance is then checked against the whole batch. Public bursts get
+    // their relayer nonces in wallet order and are broadcast RESCUE_CONCURRENCY at a time. As soon as one
+    // burst goes out as a bundle, the batch is sent one burst at a time instead: a relay simulates each
+    // bundle against the chain on its own, so it must start at the relayer's next nonce.
+    async runWallets() {
+        const { concurrency, bidding } = this.config;
+        const startNonce = await this.publicClient.getTransactionCount({ address: this.relayerAddress, blockTag: 'pending' });
+        const batch = (await runConcurrently(this.wallets, concurrency, wallet => this.prepareWallet(wallet, { relayerNonce: startNonce }))).filter(Boolean);
+        if (batch.length === 0) return;
+
+        const sequential = batch.some(burst => burst.submission.mode === 'bundle');
+        const needed = batch.reduce((sum, burst) => sum + relayerBudget(burst.steps, this.relayerAddress, bidding.maxSpendPerWallet), 0n);
+        const balance = await this.publicClient.getBalance({ address: this.relayerAddress });
+        console.log(chalk.blue(`\n[BATCH] ${batch.length} bursts ready (${sequential ? 'bundles, sent one at a time' : 'sent concurrently'}). Relayer budget: ${formatEther(needed)} of ${formatEther(balance)} ${this.nativeSymbol}.`));
+        if (balance < needed) {
+            console.log(chalk.red.bold(`[BATCH] ABORTED: The relayer cannot fund every wallet (needs ${formatEther(needed)} ${this.nativeSymbol}, holds ${formatEther(balance)}). Nothing was sent.`));
+            this.emit('batch.aborted', { bursts: batch.length, budget: needed, balance });
+            for (const burst of batch) this.settle(burst.wallet, { state: burst.extractOnly ? 'claimed' : 'failed', reason: 'Relayer balance too low for the batch' });
+            return;
+        }
+
+        if (sequential) {
+            this.emit('batch.ready', { wallets: batch.map(burst => burst.wallet.address), sequential, budget: needed, balance });
+            for (const burst of batch) {
+                // Renumbered from the relayer's nonce as the previous bursts left it.
+                const relayerNonce = await this.publicClient.getTransactionCount({ address: this.relayerAddress, blockTag: 'pending' });
+                for (const step of createNonceAllocator(relayerNonce).assign(burst.steps, this.relayerAddress)) burst.signedTxs.delete(step);
+                await this.sendBurst(burst);
+            }
+            // Only txs the node has seen can leave gaps: a bundle that was never included took no nonce.
+            const endNonce = await this.publicClient.getTransactionCount({ address: this.relayerAddress, blockTag: 'pending' });
+            if (endNonce > startNonce) await this.fillNonceGaps(endNonce);
+            return;
+        }
+
+        const nonces = createNonceAllocator(startNonce);
+        for (const burst of batch) {
+            for (const step of nonces.assign(burst.steps, this.relayerAddress)) burst.signedTxs.delete(step);
+        }
+        this.emit('batch.ready', { wallets: batch.map(burst => burst.wallet.address), sequential, relayerNonces: [startNonce, nonces.next - 1], budget: needed, balance });
+        await runConcurrently(batch, concurrency, burst => this.sendBurst(burst));
+        if (nonces.next > startNonce) await this.fillNonceGaps(nonces.next);
+    }
+
+    // An assigned relayer nonce that never got mined (its burst failed to broadcast) holds back every
+    // later relayer tx, so once the batch is over such gaps are filled with empty self-transfers. One at a
+    // time: a tx queued behind a gap can be mined as soon as the gap is filled and needs no cancelling.
+    async fillNonceGaps(endNonce) {
+        let mined = await this.publicClient.getTransactionCount({ address: this.relayerAddress });
+        if (mined >= endNonce) return;
+        console.log(chalk.yellow(`[BATCH] Relayer nonces ${mined}..${endNonce - 1} were not mined. Cancelling them with empty self-transfers.`));
+        const estimate = await this.estimateGas({ from: this.relayerAddress, to: this.relayerAddress, value: 0n }, this.gasLimit('nativeTransfer'));
+        const request = { to: this.relayerAddress, value: 0n, gas: estimate.gas, ...bumpFees(estimate, this.config.bidding.bumpPercent) };
+        while (mined < endNonce) {
+            try {
+                const signedTx = await this.signStep({ account: this.relayerAccount, request: { ...request, nonce: mined } });
+                const hash = await this.publicClient.sendRawTransaction({ serializedTransaction: signedTx });
+                await this.publicClient.waitForTransactionReceipt({ hash, timeout: 90_000 });
+                this.emit('nonce.cancelled', { nonce: mined, hash });
+            } catch (error) {
+                const latest = await this.publicClient.getTransactionCount({ address: this.relayerAddress });
+                if (latest > mined) { // Taken by a queued tx in the meantime
+                    mined = latest;
+                    continue;
+                }
+                console.warn(chalk.red(`[BATCH] Could not cancel relayer nonce ${mined}: ${error.details || error.shortMessage || error.message}`));
+                return;
+            }
+            mined = await this.publicClient.getTransactionCount({ address: this.relayerAddress });
+        }
+    }
+
+    // Builds and simulates every wallet's burst against the current chain state without sending anything.
+    async dryRun() {
+        console.log(chalk.bold.cyan(`--- Dry run: ${this.strategy.title} ---`));
+        await this.init();
+        const relayerNonce = await this.publicClient.getTransactionCount({ address: this.relayerAddress, blockTag: 'pending' });
+        for (const wallet of this.wallets) {
+            await this.prepareWallet(wallet, { relayerNonce, dryRun: true });
+        }
+        await this.stop();
+    }
+
+    async start() {
+        console.log(chalk.bold.cyan(`--- Initializing ${this.strategy.title} ---`));
+        await this.init();
+        await listenForTriggers(this, (firing) => this.runCycle(firing));
+        await this.stop();
+    }
+}
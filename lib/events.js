@@ -0,0 +1,34 @@
+import fs from 'fs';
+
+// --- EVENT STREAM ---
+// Every step of a run is also emitted as a structured event, { ts, type, chain, chainId, ...fields }.
+// With EVENT_LOG_FILE set they are appended there as JSON lines; listeners (the webhook notifier)
+// receive them in-process. Event types:
+//   run.started       keys loaded, triggers armed
+//   warmup.completed  bursts pre-signed until the trigger fires
+//   trigger.fired     block and the triggers that held
+//   cycle.started     a rescue cycle begins
+//   wallet.prepared   burst built (or reused from the warm-up) and simulated
+//   batch.ready       budget checked, relayer nonces assigned (or `sequential` for bundles); batch.aborted when it falls short
+//   wallet.sent       burst signed and broadcast (again for every replacement)
+//   wallet.result     final outcome of a wallet, see lib/report.js
+//   nonce.cancelled   a relayer nonce gap filled with an empty self-transfer
+//   cycle.completed   totals of the cycle and the exported report files
+
+// BigInts (amounts, nonces, blocks) are written as decimal strings.
+export const toJson = (value, space) => JSON.stringify(value, (key, field) => (typeof field === 'bigint' ? field.toString() : field), space);
+
+export function createEventStream({ file } = {}) {
+    const listeners = [];
+    return {
+        emit(type, fields = {}) {
+            const event = { ts: new Date().toISOString(), type, ...fields };
+            if (file) fs.appendFileSync(file, toJson(event) + '\n');
+            for (const listener of listeners) listener(event);
+            return event;
+        },
+        subscribe(listener) {
+            listeners.push(listener);
+        },
+    };
+}
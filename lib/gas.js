@@ -0,0 +1,89 @@
+import { hexToBigInt, formatTransactionRequest } from 'viem';
+import chalk from 'chalk';
+
+// --- GAS ESTIMATION ---
+// Every estimator returns { gas, maxFeePerGas, maxPriorityFeePerGas } ready to spread into a tx request.
+// The chain profile's `feeEstimation` picks one through FEE_ESTIMATORS.
+
+// Multipliers come from the .env as floats; they are turned into basis points so fee math stays in BigInt.
+const toBasisPoints = (multiplier) => BigInt(Math.round(multiplier * 10_000));
+const scale = (value, basisPoints) => (value * basisPoints) / 10_000n;
+const max = (a, b) => (a > b ? a : b);
+
+function applyMultipliers(baseFee, priorityFee, { gasMultiplier, gasPriorityMultiplier }) {
+    const competitivePriorityFee = scale(priorityFee, toBasisPoints(gasPriorityMultiplier));
+    const competitiveMaxFee = scale(baseFee, toBasisPoints(gasMultiplier)) + competitivePriorityFee;
+    return { maxFeePerGas: competitiveMaxFee, maxPriorityFeePerGas: competitivePriorityFee };
+}
+
+// Fees for a same-nonce replacement. Nodes only accept it when both fields rise by their minimum
+// (10% on geth), so both are raised by `bumpPercent` and the tip also clears `tipToBeat` (a competitor's).
+export function bumpFees({ maxFeePerGas, maxPriorityFeePerGas }, bumpPercent, tipToBeat = null) {
+    const factor = 10_000n + toBasisPoints(bumpPercent / 100);
+    let tip = scale(maxPriorityFeePerGas, factor) + 1n;
+    if (tipToBeat !== null) tip = max(tip, scale(tipToBeat, factor) + 1n);
+    return { maxFeePerGas: max(scale(maxFeePerGas, factor) + 1n, maxFeePerGas + (tip - maxPriorityFeePerGas)), maxPriorityFeePerGas: tip };
+}
+
+export async function estimateCompetitiveGas({ publicClient, account, multipliers }, tx, fallbackGasLimit) {
+    try {
+        const { maxFeePerGas, maxPriorityFeePerGas } = await publicClient.estimateFeesPerGas();
+        const gas = await publicClient.estimateGas({ ...tx, account: tx.from ?? account });
+        return { gas, ...applyMultipliers(maxFeePerGas, maxPriorityFeePerGas, multipliers) };
+    } catch (error) {
+        console.warn(chalk.yellow(`   - ⚠️ Gas estimation failed, using fallback. Reason: ${error.details || error.message.split('\n')[0]}`));
+        const { maxFeePerGas, maxPriorityFeePerGas } = await publicClient.estimateFeesPerGas();
+        return { gas: fallbackGasLimit, maxFeePerGas, maxPriorityFeePerGas };
+    }
+}
+
+// linea_estimateGas is served by Linea's own RPCs; `estimationClient` (INFURA_RPC_URL) is optional.
+export async function estimateLineaGasFees({ publicClient, estimationClient, multipliers }, tx, fallbackGasLimit) {
+    try {
+        const response = await (estimationClient ?? publicClient).request({ method: 'linea_estimateGas', params: [formatTransactionRequest(tx)] });
+        const gasLimit = hexToBigInt(response.gasLimit);
+        return { gas: gasLimit, ...applyMultipliers(hexToBigInt(response.baseFeePerGas), hexToBigInt(response.priorityFeePerGas), multipliers) };
+    } catch (error) {
+        console.warn(chalk.yellow(`   - ⚠️ linea_estimateGas failed, using standard method. Reason: ${error.details || error.message.split('\n')[0]}`));
+        const { maxFeePerGas, maxPriorityFeePerGas } = await publicClient.estimateFeesPerGas();
+        return { gas: fallbackGasLimit, maxFeePerGas, maxPriorityFeePerGas };
+    }
+}
+
+// Next block's base fee and the median tip paid over the last few blocks.
+export async function estimateFeeHistoryGas(context, tx, fallbackGasLimit) {
+    const { publicClient, account, multipliers } = context;
+    let fees;
+    try {
+        const history = await publicClient.getFeeHistory({ blockCount: 5, rewardPercentiles: [50] });
+        const tips = history.reward.map(([tip]) => tip).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        fees = applyMultipliers(history.baseFeePerGas.at(-1), tips[Math.floor(tips.length / 2)] ?? 0n, multipliers);
+    } catch (error) {
+        console.warn(chalk.yellow(`   - ⚠️ eth_feeHistory failed, using standard method. Reason: ${error.details || error.message.split('\n')[0]}`));
+        return estimateCompetitiveGas(context, tx, fallbackGasLimit);
+    }
+    try {
+        return { gas: await publicClient.estimateGas({ ...tx, account: tx.from ?? account }), ...fees };
+    } catch (error) {
+        console.warn(chalk.yellow(`   - ⚠️ Gas estimation failed, using fallback. Reason: ${error.details || error.message.split('\n')[0]}`));
+        return { gas: fallbackGasLimit, ...fees };
+    }
+}
+
+// Pre-London chains: one gas price, carried in both fee fields (see toSignableRequest in chains.js).
+export async function estimateLegacyGas({ publicClient, account, multipliers }, tx, fallbackGasLimit) {
+    const gasPrice = scale(await publicClient.getGasPrice(), toBasisPoints(multipliers.gasMultiplier));
+    let gas = fallbackGasLimit;
+    try {
+        gas = await publicClient.estimateGas({ ...tx, account: tx.from ?? account });
+    } catch (error) {
+        console.warn(chalk.yellow(`   - ⚠️ Gas estimation failed, using fallback. Reason: ${error.details || error.message.split('\n')[0]}`));
+    }
+    return { gas, maxFeePerGas: gasPrice, maxPriorityFeePerGas: gasPrice };
+}
+
+export const FEE_ESTIMATORS = {
+    linea_estimateGas: estimateLineaGasFees,
+    eth_feeHistory: estimateFeeHistoryGas,
+    legacy: estimateLegacyGas,
+};
@@ -0,0 +1,16 @@
+export { RescueEngine } from './engine.js';
+export { loadConfig, loadChainConfigs, validateConfig, fileDescriptor } from './config.js';
+export { loadChainProfiles, getChainProfile } from './chains.js';
+export { loadWallets } from './wallets.js';
+export { strategies, getStrategy, nativeStrategy, permitStrategy, transferStrategy, erc20Strategy } from './strategies/index.js';
+export { createBundleRelay, submitBundle, submitBurst } from './bundle.js';
+export { createSweeperWatcher, printSweeperReport } from './sweeper.js';
+export { bidBurst, worstCaseSpend } from './bidding.js';
+export { createNonceAllocator, relayerBudget, runConcurrently } from './batch.js';
+export { createRpcPool, printRpcPoolStatus } from './rpc.js';
+export { createTriggers, listenForTriggers } from './triggers.js';
+export { createEventStream } from './events.js';
+export { createNotifier } from './notify.js';
+export { describeAsset, measureBurst, summarizeCycle, exportCycleReport, toCsv } from './report.js';
+export { encryptKeystore, decryptKeystore, readVault, writeVault, loadWalletKeys, importToVault, listVault, rekeyVault } from './keystore.js';
+export { RELAYER_SIGNERS, loadRelayerSigner, createExternalSigner } from './signers.js';
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import chalk from 'chalk';
+
+// --- RESCUE JOURNAL ---
+// Append-only JSON lines file. Each line is a patch for one wallet; folding the patches by key gives
+// the wallet's current entry: { state, txs, reason, attempts }. States:
+//   pending    attempt started, nothing broadcast yet
+//   sent       burst signed and handed to the network (tx hashes, replaced hashes and nonces recorded);
+//              stays so while the burst is pending
+//   claimed    claim confirmed, extraction still outstanding
+//   extracted  assets are in the secure wallet, nothing left to do
+//   failed     the attempt failed before the claim landed, the whole burst can be retried
+
+export function openJournal(file) {
+    const entries = new Map();
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean)) {
+            const { key, ts, ...patch } = JSON.parse(line);
+            entries.set(key, { ...entries.get(key), ...patch, updatedAt: ts });
+        }
+    }
+
+    return {
+        file,
+        get: (key) => entries.get(key),
+        record(key, patch) {
+            const ts = new Date().toISOString();
+            fs.appendFileSync(file, JSON.stringify({ key, ts, ...patch }) + '\n');
+            const entry = { ...entries.get(key), ...patch, updatedAt: ts };
+            entries.set(key, entry);
+            return entry;
+        },
+    };
+}
+
+// A tx may have been replaced with higher fees; any of its hashes can be the one that was mined.
+// `pending` while one of them still sits in the mempool, null once none is known anymore.
+async function receiptStatus(publicClient, tx) {
+    const hashes = tx ? [tx.hash, ...(tx.replaced || [])] : [];
+    for (const hash of hashes) {
+        try {
+            return (await publicClient.getTransactionReceipt({ hash })).status;
+        } catch {
+            // Not mined under this hash (still pending, dropped or replaced)
+        }
+    }
+    for (const hash of hashes) {
+        try {
+            await publicClient.getTransaction({ hash });
+            return 'pending';
+        } catch {
+            // Unknown to the node: dropped or replaced
+        }
+    }
+    return null;
+}
+
+// Works out what actually happened to a burst that was sent before the process stopped. Returns null
+// while the burst is still pending: the entry stays `sent` and must not be sent again.
+export async function reconcileEntry(publicClient, entry) {
+    const { txs = {} } = entry; // Hand-edited or truncated entries may have no hashes at all
+    const [claimStatus, extractStatus] = await Promise.all([receiptStatus(publicClient, txs.claim), receiptStatus(publicClient, txs.extract)]);
+
+    if (extractStatus === 'success') return { state: 'extracted', reason: null };
+    if (claimStatus === 'pending' || extractStatus === 'pending') return null;
+    if (claimStatus === 'success' || (!txs.claim && entry.claimed)) {
+        return { state: 'claimed', claimed: true, reason: extractStatus === 'reverted' ? 'Extraction reverted' : 'Extraction not mined (dropped)' };
+    }
+    if (claimStatus === 'reverted') return { state: 'failed', reason: 'Claim reverted' };
+    return { state: 'failed', reason: 'Burst not mined (dropped)' };
+}
+
+// Every hash a burst was broadcast under, replacements included.
+export function sentHashes(entry) {
+    return Object.values(entry?.txs || {}).flatMap(tx => [tx.hash, ...(tx.replaced || [])]);
+}
+
+export async function reconcileJournal(journal, publicClient, keys) {
+    for (const key of keys) {
+        const entry = journal.get(key);
+        if (!entry || entry.state !== 'sent') continue;
+
+        const patch = await reconcileEntry(publicClient, entry);
+        if (!patch) {
+            console.log(chalk.blue(`[JOURNAL] ${entry.wallet}: sent, burst still pending`));
+            continue;
+        }
+        journal.record(key, patch);
+        console.log(chalk.blue(`[JOURNAL] ${entry.wallet}: sent → ${patch.state}${patch.reason ? ` (${patch.reason})` : ''}`));
+    }
+}
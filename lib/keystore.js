@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { keccak256, bytesToHex, hexToBytes } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { readPkFile, normalizePk } from './wallets.js';
+
+// --- ENCRYPTED KEYSTORES ---
+// Two encrypted inputs replace plaintext keys:
+//   - Web3 Secret Storage (V3 keystore) files, one key each (geth, MetaMask exports, ethers, ...)
+//   - a vault: one passphrase-encrypted file holding the relayer key and every compromised key,
+//     { "type": "anti-mev-vault", "version": 1, "crypto": <V3 crypto section over the JSON payload> }
+// The passphrase is asked once per process (terminal prompt) or read from KEYSTORE_PASSPHRASE_FD.
+
+const SCRYPT = { n: 262144, r: 8, p: 1, dklen: 32 };
+const VAULT_TYPE = 'anti-mev-vault';
+
+function deriveKey(kdf, kdfparams, passphrase) {
+    const salt = Buffer.from(kdfparams.salt, 'hex');
+    if (kdf === 'scrypt') {
+        const { n, r, p, dklen } = kdfparams;
+        return crypto.scryptSync(passphrase, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+    }
+    if (kdf === 'pbkdf2') {
+        if (kdfparams.prf !== 'hmac-sha256') throw new Error(`Unsupported pbkdf2 prf "${kdfparams.prf}".`);
+        return crypto.pbkdf2Sync(passphrase, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+    }
+    throw new Error(`Unsupported keystore kdf "${kdf}".`);
+}
+
+const macOf = (derivedKey, ciphertext) => keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).slice(2);
+
+export function encryptSecret(secret, passphrase) {
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(16);
+    const kdfparams = { ...SCRYPT, salt: salt.toString('hex') };
+    const derivedKey = deriveKey('scrypt', kdfparams, passphrase);
+    const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()]);
+    return { cipher: 'aes-128-ctr', cipherparams: { iv: iv.toString('hex') }, ciphertext: ciphertext.toString('hex'), kdf: 'scrypt', kdfparams, mac: macOf(derivedKey, ciphertext) };
+}
+
+// Returns null on a wrong passphrase (MAC mismatch), so callers can ask again.
+export function decryptSecret(section, passphrase) {
+    const derivedKey = deriveKey(section.kdf, section.kdfparams, passphrase);
+    const ciphertext = Buffer.from(section.ciphertext, 'hex');
+    if (macOf(derivedKey, ciphertext) !== section.mac.toLowerCase()) return null;
+    if (section.cipher !== 'aes-128-ctr') throw new Error(`Unsupported keystore cipher "${section.cipher}".`);
+    const decipher = crypto.createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(section.cipherparams.iv, 'hex'));
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// --- V3 KEYSTORE FILES ---
+
+export const isKeystore = (json) => json?.version === 3 && Boolean(json.crypto || json.Crypto);
+
+export function encryptKeystore(privateKey, passphrase) {
+    const address = privateKeyToAccount(privateKey).address;
+    return { version: 3, id: crypto.randomUUID(), address: address.slice(2).toLowerCase(), crypto: encryptSecret(Buffer.from(hexToBytes(privateKey)), passphrase) };
+}
+
+export function decryptKeystore(json, passphrase) {
+    const secret = decryptSecret(json.crypto || json.Crypto, passphrase);
+    return secret && bytesToHex(secret);
+}
+
+// Accepts files and directories (every *.json inside).
+export function expandKeystoreFiles(paths) {
+    return paths.flatMap(entry => (fs.statSync(entry).isDirectory()
+        ? fs.readdirSync(entry).filter(name => name.endsWith('.json')).sort().map(name => path.join(entry, name))
+        : [entry]));
+}
+
+// --- VAULT ---
+
+export function readVault(file, passphrase) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (json.type !== VAULT_TYPE) throw new Error(`${file} is not an ${VAULT_TYPE} file.`);
+    const secret = decryptSecret(json.crypto, passphrase);
+    if (!secret) throw new Error(`Wrong passphrase for vault ${file}.`);
+    const { relayer = null, wallets = [] } = JSON.parse(secret.toString('utf-8'));
+    return { relayer, wallets };
+}
+
+// The vault holds the only copy of the keys, so it is never rewritten in place: the new version goes to
+// a 0600 temp file next to it, is flushed to disk, then renamed over the old one (atomic on one filesystem).
+export function writeVault(file, { relayer, wallets }, passphrase) {
+    const secret = Buffer.from(JSON.stringify({ relayer, wallets }), 'utf-8');
+    const content = JSON.stringify({ type: VAULT_TYPE, version: 1, crypto: encryptSecret(secret, passphrase) }, null, 2);
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    const fd = fs.openSync(tempFile, 'wx', 0o600);
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } catch (error) {
+        fs.closeSync(fd);
+        fs.rmSync(tempFile, { force: true });
+        throw error;
+    }
+    fs.closeSync(fd);
+    fs.renameSync(tempFile, file);
+}
+
+// --- PASSPHRASE ---
+
+function promptHidden(question) {
+    const { stdin, stderr } = process;
+    if (!stdin.isTTY) return Promise.reject(new Error('A passphrase is needed but stdin is not a terminal. Set KEYSTORE_PASSPHRASE_FD.'));
+    return new Promise((resolve, reject) => {
+        let answer = '';
+        stderr.write(question);
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.setEncoding('utf-8');
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    done();
+                    resolve(answer);
+                    return;
+                }
+                if (char === '\u0003') { // Ctrl+C
+                    done();
+                    reject(new Error('Passphrase prompt aborted.'));
+                    return;
+                }
+                answer = char === '\u007f' || char === '\b' ? answer.slice(0, -1) : answer + char;
+            }
+        };
+        const done = () => {
+            stdin.removeListener('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            stderr.write('\n');
+        };
+        stdin.on('data', onData);
+    });
+}
+
+// Reads the whole descriptor (e.g. `3<passphrase.txt` or a pipe); a single trailing newline is dropped.
+function readPassphraseFd(fd) {
+    try {
+        return fs.readFileSync(Number(fd), 'utf-8').replace(/\r?\n$/, '');
+    } catch (error) {
+        throw new Error(`Cannot read the passphrase from file descriptor ${fd} (${error.code || error.message}). Is it open, e.g. \`${fd}<passphrase.txt\`?`);
+    }
+}
+
+let cachedPassphrase = null;
+
+// The unlock passphrase, shared by every keystore and the vault for the lifetime of the process.
+export function getPassphrase({ passphraseFd } = {}) {
+    if (!cachedPassphrase) {
+        cachedPassphrase = passphraseFd ? Promise.resolve(readPassphraseFd(passphraseFd)) : promptHidden('🔑 Keystore passphrase: ');
+    }
+    return cachedPassphrase;
+}
+
+// A passphrase for a new vault or re-encryption: from its own descriptor, or prompted twice.
+export async function getNewPassphrase({ passphraseFd } = {}) {
+    const passphrase = passphraseFd ? readPassphraseFd(passphraseFd) : await promptHidden('🔑 New passphrase: ');
+    if (passphrase.length < 8) throw new Error('Use a passphrase of at least 8 characters.');
+    if (!passphraseFd && await promptHidden('🔑 Repeat new passphrase: ') !== passphrase) throw new Error('Passphrases do not match.');
+    return passphrase;
+}
+
+// --- KEY LOADING ---
+
+const vaults = new Map(); // Decrypted once per file, even when several chains run in one process
+
+export async function openVault(file, options) {
+    if (!vaults.has(file)) vaults.set(file, readVault(file, await getPassphrase(options)));
+    return vaults.get(file);
+}
+
+export async function readKeystoreFile(file, options) {
+    const privateKey = decryptKeystore(JSON.parse(fs.readFileSync(file, 'utf-8')), await getPassphrase(options));
+    if (!privateKey) throw new Error(`Wrong passphrase for keystore ${file}.`);
+    return privateKey;
+}
+
+// Compromised keys: the vault, else V3 keystore files, else plaintext pk.txt.
+export async function loadWalletKeys({ keystore, pkFile }) {
+    if (keystore.vaultFile) return (await openVault(keystore.vaultFile, keystore)).wallets;
+    if (keystore.keystoreFiles.length > 0) {
+        const keys = [];
+        for (const file of expandKeystoreFiles(keystore.keystoreFiles)) keys.push(await readKeystoreFile(file, keystore));
+        return keys;
+    }
+    return readPkFile(pkFile);
+}
+
+// --- VAULT MANAGEMENT (cli.js vault ...) ---
+
+// A key source is a text file with one private key per line or a V3 keystore. A keystore is tried
+// with the vault passphrase first and asks for its own passphrase otherwise.
+async function readKeySource(source, passphrase) {
+    let json = null;
+    try {
+        json = JSON.parse(fs.readFileSync(source, 'utf-8'));
+    } catch {
+        // Not JSON: plaintext keys
+    }
+    if (!isKeystore(json)) return readPkFile(source).map(normalizePk);
+    const privateKey = decryptKeystore(json, passphrase) ?? decryptKeystore(json, await promptHidden(`🔑 Passphrase for ${source}: `));
+    if (!privateKey) throw new Error(`Wrong passphrase for keystore ${source}.`);
+    return [privateKey];
+}
+
+const vaultAddresses = ({ relayer, wallets }) => ({
+    relayer: relayer && privateKeyToAccount(relayer).address,
+    wallets: wallets.map(privateKey => privateKeyToAccount(privateKey).address),
+});
+
+// Adds compromised keys (deduplicated by address) and optionally sets the relayer key; `relayer` is a
+// key source or 'SECURE' to move the plaintext key out of .env. Creates the vault if needed.
+export async function importToVault({ keystore, relayerPk }, { sources = [], relayer }) {
+    const file = keystore.vaultFile;
+    const created = !fs.existsSync(file);
+    const passphrase = created ? await getNewPassphrase(keystore) : await getPassphrase(keystore);
+    const vault = created ? { relayer: null, wallets: [] } : readVault(file, passphrase);
+
+    const known = new Set(vault.wallets.map(privateKey => privateKeyToAccount(privateKey).address));
+    let added = 0;
+    for (const source of sources) {
+        for (const privateKey of await readKeySource(source, passphrase)) {
+            const { address } = privateKeyToAccount(privateKey);
+            if (known.has(address)) continue;
+            known.add(address);
+            vault.wallets.push(privateKey);
+            added++;
+        }
+    }
+    if (relayer) {
+        if (relayer === 'SECURE' && !relayerPk) throw new Error('--relayer=SECURE, but SECURE is not set.');
+        const keys = relayer === 'SECURE' ? [normalizePk(relayerPk)] : await readKeySource(relayer, passphrase);
+        if (keys.length !== 1) throw new Error(`${relayer} must hold exactly one relayer key, found ${keys.length}.`);
+        vault.relayer = keys[0];
+    }
+    writeVault(file, vault, passphrase);
+    return { created, added, ...vaultAddresses(vault) };
+}
+
+export async function listVault({ keystore }) {
+    return vaultAddresses(await openVault(keystore.vaultFile, keystore));
+}
+
+// Re-encrypts the vault under a new passphrase (and fresh salt and IV).
+export async function rekeyVault({ keystore }, newPassphraseFd) {
+    const vault = await openVault(keystore.vaultFile, keystore);
+    writeVault(keystore.vaultFile, vault, await getNewPassphrase({ passphraseFd: newPassphraseFd }));
+}
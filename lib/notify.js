@@ -0,0 +1,67 @@
+import chalk from 'chalk';
+import { toJson } from './events.js';
+import { summarizeReport } from './report.js';
+
+// --- WEBHOOK NOTIFICATIONS ---
+// Posts a short alert to WEBHOOK_URL when a trigger fires and when a wallet is rescued or fails.
+// The payload follows WEBHOOK_FORMAT, which is guessed from the URL when unset:
+//   generic   the event itself, plus a `text` line (also what Slack-style webhooks read)
+//   telegram  sendMessage body: https://api.telegram.org/bot<token>/sendMessage with WEBHOOK_TELEGRAM_CHAT_ID
+//   discord   webhook message body: https://discord.com/api/webhooks/<id>/<token>
+// A failing webhook is logged and never interrupts the rescue.
+
+const NOTIFIED_EVENTS = ['trigger.fired', 'wallet.result'];
+
+const STATUS_ICONS = { extracted: '✅', claimed: '⚠️', failed: '❌', sent: '❓' };
+
+function messageFor(event) {
+    const where = `[${event.chain}]`;
+    if (event.type === 'trigger.fired') return `🚨 ${where} Trigger fired at block ${event.block}: ${event.triggers.join(' + ')}`;
+    return `${STATUS_ICONS[event.status]} ${where} ${event.wallet} ${event.status}: ${summarizeReport(event)}`;
+}
+
+const WEBHOOK_FORMATS = {
+    generic: (event, text) => ({ ...event, text }),
+    telegram: (event, text, { telegramChatId }) => ({ chat_id: telegramChatId, text, disable_web_page_preview: true }),
+    discord: (event, text) => ({ content: text }),
+};
+
+function detectFormat(url) {
+    const { hostname } = new URL(url);
+    if (hostname === 'api.telegram.org') return 'telegram';
+    if (hostname.endsWith('discord.com') || hostname.endsWith('discordapp.com')) return 'discord';
+    return 'generic';
+}
+
+export function createNotifier({ url, format, telegramChatId, timeoutMs = 10_000 }) {
+    const kind = format || detectFormat(url);
+    if (!WEBHOOK_FORMATS[kind]) throw new Error(`Unknown WEBHOOK_FORMAT "${kind}". Available: ${Object.keys(WEBHOOK_FORMATS).join(', ')}`);
+    if (kind === 'telegram' && !telegramChatId) throw new Error('WEBHOOK_TELEGRAM_CHAT_ID is required for Telegram notifications.');
+    const inFlight = new Set();
+
+    async function post(event) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: toJson(WEBHOOK_FORMATS[kind](event, messageFor(event), { telegramChatId })),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        } catch (error) {
+            console.warn(chalk.yellow(`[WEBHOOK] ${event.type} notification failed: ${error.message}`));
+        }
+    }
+
+    return {
+        format: kind,
+        // Event stream listener: sends the notified events, in the background.
+        notify(event) {
+            if (!NOTIFIED_EVENTS.includes(event.type) || event.status === 'skipped') return;
+            const pending = post(event).finally(() => inFlight.delete(pending));
+            inFlight.add(pending);
+        },
+        // Waits for the notifications still being sent, so the last ones are not lost on exit.
+        flush: () => Promise.all(inFlight),
+    };
+}
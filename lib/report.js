@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import { formatEther, formatUnits, parseEventLogs } from 'viem';
+import chalk from 'chalk';
+import { TOKEN_ABI } from './strategies/token.js';
+import { toJson } from './events.js';
+
+// --- RECEIPT REPORTING ---
+
+export async function awaitReceipts(publicClient, hashes, timeout = 90_000) {
+    // Missing hashes (e.g. no claim tx when only the extraction is retried) settle as rejected.
+    return Promise.allSettled(hashes.map(hash => (hash ? publicClient.waitForTransactionReceipt({ hash, timeout }) : Promise.reject(new Error('Not sent')))));
+}
+
+const isSuccess = (result) => result.status === 'fulfilled' && result.value.status === 'success';
+
+// --- WALLET REPORTS ---
+// One report per wallet and cycle: { chain, chainId, wallet, status, reason, asset, decimals, nativeCurrency,
+// claimed, extracted, gasCost, relayerSpend, net, fundTx, claimTx, extractTx }. `status` is the journal state
+// the wallet ended in, or `skipped`. Amounts are base units: `claimed` and `extracted` in the rescued
+// asset, `gasCost` (every mined tx of the burst) and `relayerSpend` (funding value plus the relayer's
+// own gas) in wei of `nativeCurrency`. `net` is `extracted - relayerSpend`, for native rescues only.
+
+// The rescued asset as reports show it. Token metadata is optional in ERC20, so it has fallbacks.
+export async function describeAsset(publicClient, { strategy, chain, tokenAddress }) {
+    if (strategy.asset === 'native') return { symbol: chain.nativeCurrency.symbol, decimals: 18, token: null };
+    const read = (functionName) => publicClient.readContract({ address: tokenAddress, abi: TOKEN_ABI, functionName }).catch(() => null);
+    const [symbol, decimals] = await Promise.all([read('symbol'), read('decimals')]);
+    return { symbol: symbol ?? 'TOKEN', decimals: decimals ?? 18, token: tokenAddress };
+}
+
+const gasFee = (receipt) => receipt.gasUsed * receipt.effectiveGasPrice;
+
+// Amounts of a sent burst, from its receipts. `txs` maps fund/claim/extract to { hash, result }, where
+// `result` is the settled receipt from awaitReceipts.
+export async function measureBurst(publicClient, { asset, walletAddress, relayerAddress, allocation, txs }) {
+    const mined = Object.fromEntries(Object.entries(txs).filter(([, { result }]) => result.status === 'fulfilled').map(([label, { result }]) => [label, result.value]));
+    const valueOf = async (receipt) => (await publicClient.getTransaction({ hash: receipt.transactionHash })).value;
+
+    let gasCost = 0n;
+    let relayerSpend = 0n;
+    for (const receipt of Object.values(mined)) {
+        gasCost += gasFee(receipt);
+        if (receipt.from.toLowerCase() === relayerAddress.toLowerCase()) relayerSpend += gasFee(receipt) + await valueOf(receipt);
+    }
+
+    let extracted = 0n;
+    if (mined.extract?.status === 'success') {
+        if (asset.token) {
+            // Whatever left the compromised wallet in the extraction, wherever the helper sends it.
+            const transfers = parseEventLogs({ abi: TOKEN_ABI, eventName: 'Transfer', logs: mined.extract.logs })
+                .filter(log => log.address.toLowerCase() === asset.token.toLowerCase() && log.args.from.toLowerCase() === walletAddress.toLowerCase());
+            extracted = transfers.reduce((sum, log) => sum + log.args.value, 0n);
+        } else {
+            extracted = await valueOf(mined.extract);
+        }
+    }
+
+    return {
+        claimed: mined.claim?.status === 'success' ? allocation : 0n,
+        extracted,
+        gasCost,
+        relayerSpend,
+        net: asset.token ? null : extracted - relayerSpend,
+        fundTx: txs.fund?.hash ?? null,
+        claimTx: txs.claim?.hash ?? null,
+        extractTx: txs.extract?.hash ?? null,
+    };
+}
+
+export const formatAmount = (value, { symbol, decimals }) => `${formatUnits(value, decimals)} ${symbol}`;
+
+// "Extracted 1.2 ETH | Gas 0.0004 ETH | Relayer spent 0.0006 ETH | Net 1.1994 ETH"; the reason otherwise.
+export function summarizeReport(report) {
+    if (report.gasCost === null) return report.reason ?? report.status;
+    const asset = { symbol: report.asset, decimals: report.decimals };
+    const parts = [`Extracted ${formatAmount(report.extracted, asset)}`, `Gas ${formatEther(report.gasCost)} ${report.nativeCurrency}`, `Relayer spent ${formatEther(report.relayerSpend)} ${report.nativeCurrency}`];
+    if (report.net !== null) parts.push(`Net ${formatAmount(report.net, asset)}`);
+    return parts.join(' | ') + (report.reason ? ` (${report.reason})` : '');
+}
+
+export function printFinalReport(report, steps) {
+    console.log(chalk.bold.underline(`\n--- Final Report for ${report.wallet} ---`));
+    steps.forEach(({ label, hash, result }, i) => {
+        console.log(`${i + 1}. ${label}: ${isSuccess(result) ? chalk.greenBright('SUCCESS') : chalk.red('FAILURE')}${hash ? chalk.gray(` ${hash}`) : ''}`);
+    });
+    console.log(summarizeReport(report));
+}
+
+// --- CYCLE REPORT ---
+
+const STATUS_COLORS = { extracted: chalk.greenBright, claimed: chalk.yellow, failed: chalk.red, sent: chalk.yellow, skipped: chalk.gray };
+
+export function summarizeCycle(reports) {
+    const sum = (field) => reports.reduce((total, report) => total + (report[field] ?? 0n), 0n);
+    const count = (status) => reports.filter(report => report.status === status).length;
+    return {
+        wallets: reports.length,
+        extracted: count('extracted'),
+        claimed: count('claimed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        // Native and token amounts never mix within one cycle: a cycle runs a single strategy.
+        extractedAmount: sum('extracted'),
+        gasCost: sum('gasCost'),
+        relayerSpend: sum('relayerSpend'),
+        net: reports.some(report => report.net !== null) ? sum('net') : null,
+    };
+}
+
+export function printCycleReport(cycle) {
+    const { totals, asset } = cycle;
+    console.log(chalk.bold.underline(`\n--- Cycle Report (${cycle.chain}) ---`));
+    for (const report of cycle.wallets) {
+        console.log(`${report.wallet}  ${STATUS_COLORS[report.status](report.status.padEnd(9))}  ${summarizeReport(report)}`);
+    }
+    const net = totals.net !== null ? ` | Net ${formatAmount(totals.net, asset)}` : '';
+    console.log(chalk.bold(`Total: ${totals.extracted}/${totals.wallets} extracted | ${formatAmount(totals.extractedAmount, asset)} | Gas ${formatEther(totals.gasCost)} ${cycle.nativeCurrency} | Relayer spent ${formatEther(totals.relayerSpend)} ${cycle.nativeCurrency}${net}`));
+}
+
+// --- EXPORT ---
+
+const CSV_COLUMNS = ['chain', 'chainId', 'wallet', 'status', 'reason', 'asset', 'decimals', 'nativeCurrency', 'claimed', 'extracted', 'gasCost', 'relayerSpend', 'net', 'fundTx', 'claimTx', 'extractTx'];
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(reports) {
+    return [CSV_COLUMNS.join(','), ...reports.map(report => CSV_COLUMNS.map(column => csvField(report[column])).join(','))].join('\n') + '\n';
+}
+
+// Writes the cycle as <dir>/<chain>-<started at>.json (cycle, totals and wallets) and/or .csv
+// (one row per wallet). Returns the written files.
+export function exportCycleReport(cycle, { dir, formats }) {
+    if (formats.length === 0) return [];
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, `${cycle.chain}-${cycle.startedAt.replace(/[:.]/g, '-')}`);
+    const writers = {
+        json: () => toJson(cycle, 2) + '\n',
+        csv: () => toCsv(cycle.wallets),
+    };
+    return formats.map(format => {
+        const file = `${base}.${format}`;
+        fs.writeFileSync(file, writers[format]());
+        return file;
+    });
+}
@@ -0,0 +1,170 @@
+import { createPublicClient, http, custom, HttpRequestError, TimeoutError, LimitExceededRpcError } from 'viem';
+import chalk from 'chalk';
+
+// --- RPC POOL ---
+// One public client over every RPC URL. Each endpoint is scored on latency, error rate and how far
+// its head block lags behind the best endpoint. Reads go to the healthiest endpoint and fail over to
+// the next one on endpoint errors. Signed raw txs are broadcast to every healthy endpoint at once and
+// the first accepted hash wins.
+
+const MAX_HEAD_LAG = 3n; // Blocks behind the best head before an endpoint counts as unhealthy
+const MAX_ERROR_RATE = 0.5;
+const EWMA_WEIGHT = 0.3;
+// Filters only exist on the node that created them, so their follow-up calls stick to that endpoint.
+const FILTER_METHODS = ['eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter'];
+
+// Reverts and other JSON-RPC errors are the call's fault, not the endpoint's. Only transport failures,
+// timeouts and rate limits count against the endpoint.
+function isEndpointError(error) {
+    if (error instanceof HttpRequestError || error instanceof TimeoutError || error instanceof LimitExceededRpcError) return true;
+    return /rate limit|too many requests/i.test(error.details || error.message);
+}
+
+const shortError = (error) => (error.details || error.shortMessage || error.message).split('\n')[0];
+
+function score(endpoint, bestHead) {
+    const lag = endpoint.head === null || bestHead === null ? 0n : bestHead - endpoint.head;
+    return endpoint.latencyMs + endpoint.errorRate * 10_000 + Number(lag) * 1_000;
+}
+
+export function createRpcPool({ urls, chain, refreshIntervalMs = 5000, timeout = 10_000 }) {
+    const endpoints = urls.map(url => ({
+        url,
+        transport: http(url, { retryCount: 0, timeout })({ chain, retryCount: 0 }),
+        latencyMs: 0,
+        errorRate: 0,
+        requests: 0,
+        errors: 0,
+        head: null,
+        lastError: null,
+    }));
+    const filters = new Map(); // filter id → endpoint that created it
+    let preferredUrl = null;
+    let refreshTimer = null;
+
+    const bestHead = () => endpoints.reduce((best, { head }) => (head !== null && (best === null || head > best) ? head : best), null);
+    // An endpoint that never reported a head block (dead since start-up) is not healthy either.
+    const isHealthy = (endpoint, head = bestHead()) => endpoint.errorRate < MAX_ERROR_RATE && endpoint.head !== null && head - endpoint.head <= MAX_HEAD_LAG;
+
+    // Healthy endpoints first, each group ordered by score.
+    function ranked() {
+        const head = bestHead();
+        return [...endpoints].sort((a, b) => (isHealthy(b, head) - isHealthy(a, head)) || (score(a, head) - score(b, head)));
+    }
+
+    async function send(endpoint, args) {
+        const started = Date.now();
+        endpoint.requests++;
+        try {
+            const result = await endpoint.transport.request(args);
+            endpoint.latencyMs = endpoint.latencyMs === 0 ? Date.now() - started : endpoint.latencyMs * (1 - EWMA_WEIGHT) + (Date.now() - started) * EWMA_WEIGHT;
+            endpoint.errorRate *= 1 - EWMA_WEIGHT;
+            if (args.method === 'eth_blockNumber') endpoint.head = BigInt(result);
+            return result;
+        } catch (error) {
+            if (isEndpointError(error)) {
+                endpoint.errors++;
+                endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+                endpoint.lastError = shortError(error);
+            }
+            throw error;
+        }
+    }
+
+    async function read(args) {
+        if (FILTER_METHODS.includes(args.method) && filters.has(args.params?.[0])) {
+            return send(filters.get(args.params[0]), args);
+        }
+        const order = ranked();
+        if (order[0].url !== preferredUrl) {
+            if (preferredUrl !== null) console.log(chalk.yellow(`[RPC] Reads now routed to ${order[0].url} (was ${preferredUrl}).`));
+            preferredUrl = order[0].url;
+        }
+        let lastError;
+        for (const endpoint of order) {
+            try {
+                const result = await send(endpoint, args);
+                if (args.method.startsWith('eth_new') && args.method.endsWith('Filter')) filters.set(result, endpoint);
+                return result;
+            } catch (error) {
+                if (!isEndpointError(error)) throw error;
+                lastError = error;
+                console.warn(chalk.yellow(`[RPC] ${endpoint.url} failed ${args.method} (${shortError(error)}), trying the next endpoint.`));
+            }
+        }
+        throw lastError;
+    }
+
+    async function broadcast(args) {
+        const head = bestHead();
+        const healthy = endpoints.filter(endpoint => isHealthy(endpoint, head));
+        const targets = healthy.length > 0 ? healthy : endpoints;
+        const attempts = targets.map(endpoint => send(endpoint, args).then(hash => ({ endpoint, hash })));
+        try {
+            const { endpoint, hash } = await Promise.any(attempts);
+            console.log(chalk.gray(`[RPC] ${hash} accepted first by ${endpoint.url} (broadcast to ${targets.length} endpoints).`));
+            return hash;
+        } catch (error) {
+            throw error.errors[0]; // Every endpoint rejected it: surface the first reason (e.g. nonce too low).
+        }
+    }
+
+    const pool = {
+        client: createPublicClient({
+            chain,
+            transport: custom({ request: (args) => (args.method === 'eth_sendRawTransaction' ? broadcast(args) : read(args)) }, { retryCount: 0 }),
+        }),
+
+        // Polls every endpoint's head block, which also feeds latency and error rate.
+        async refresh() {
+            await Promise.allSettled(endpoints.map(endpoint => send(endpoint, { method: 'eth_blockNumber' })));
+        },
+
+        start() {
+            refreshTimer = setInterval(() => pool.refresh(), refreshIntervalMs);
+            refreshTimer.unref(); // Never keeps the process alive on its own
+        },
+
+        stop() {
+            clearInterval(refreshTimer);
+        },
+
+        status() {
+            const head = bestHead();
+            return ranked().map(endpoint => ({
+                url: endpoint.url,
+                healthy: isHealthy(endpoint, head),
+                latencyMs: Math.round(endpoint.latencyMs),
+                errorRate: endpoint.errorRate,
+                requests: endpoint.requests,
+                errors: endpoint.errors,
+                headLag: endpoint.head === null || head === null ? null : head - endpoint.head,
+                lastError: endpoint.lastError,
+            }));
+        },
+    };
+    return pool;
+}
+
+export function printRpcPoolStatus(status) {
+    console.log(chalk.bold.underline('\n--- RPC Pool ---'));
+    for (const endpoint of status) {
+        const lag = endpoint.headLag === null ? 'n/a' : `${endpoint.headLag} blocks`;
+        const state = endpoint.healthy ? chalk.greenBright('healthy  ') : chalk.red('unhealthy');
+        console.log(`${state} ${endpoint.url} | latency ${endpoint.latencyMs}ms | errors ${endpoint.errors}/${endpoint.requests} (rate ${endpoint.errorRate.toFixed(2)}) | head lag ${lag}${endpoint.lastError ? ` | last error: ${endpoint.lastError}` : ''}`);
+    }
+}
+
+// Asks each URL in turn, so one dead endpoint does not stop the start-up.
+export async function detectChain(urls) {
+    let lastError;
+    for (const url of urls) {
+        try {
+            return { id: await createPublicClient({ transport: http(url) }).getChainId(), url };
+        } catch (error) {
+            lastError = error;
+            console.warn(chalk.yellow(`[RPC] ${url} unreachable (${shortError(error)}).`));
+        }
+    }
+    throw lastError;
+}
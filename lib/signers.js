@@ -0,0 +1,46 @@
+import { privateKeyToAccount, toAccount } from 'viem/accounts';
+import { openVault, readKeystoreFile } from './keystore.js';
+
+// --- SIGNERS ---
+// The engine only ever signs through viem accounts ({ address, signTransaction, signMessage,
+// signTypedData }), never through raw keys. The relayer's account comes from one of RELAYER_SIGNERS,
+// chosen by RELAYER_SIGNER; a new kind (remote signer, HSM, ...) only has to return such an account,
+// e.g. through createExternalSigner.
+
+export const RELAYER_SIGNERS = {
+    env: {
+        description: 'plaintext SECURE key from .env',
+        load: ({ relayerPk }) => privateKeyToAccount(relayerPk),
+    },
+    keystore: {
+        description: 'V3 keystore file (RELAYER_KEYSTORE)',
+        load: async ({ keystore }) => privateKeyToAccount(await readKeystoreFile(keystore.relayerKeystore, keystore)),
+    },
+    vault: {
+        description: 'relayer key stored in the vault (VAULT_FILE)',
+        load: async ({ keystore }) => {
+            const { relayer } = await openVault(keystore.vaultFile, keystore);
+            if (!relayer) throw new Error(`The vault ${keystore.vaultFile} holds no relayer key. Add one with \`cli.js vault import --relayer=...\`.`);
+            return privateKeyToAccount(relayer);
+        },
+    },
+};
+
+// Wraps external signing functions as an account the engine can use like a local one.
+export function createExternalSigner({ address, signTransaction, signMessage, signTypedData }) {
+    return toAccount({ address, signTransaction, signMessage, signTypedData });
+}
+
+// Unless RELAYER_SIGNER says otherwise: RELAYER_KEYSTORE, then SECURE, then the vault's relayer key.
+export function relayerSignerKind({ relayerSigner, relayerPk, keystore }) {
+    if (relayerSigner) return relayerSigner;
+    if (keystore.relayerKeystore) return 'keystore';
+    return relayerPk ? 'env' : 'vault';
+}
+
+export async function loadRelayerSigner(config) {
+    const kind = relayerSignerKind(config);
+    const signer = RELAYER_SIGNERS[kind];
+    if (!signer) throw new Error(`Unknown RELAYER_SIGNER "${kind}". Available: ${Object.keys(RELAYER_SIGNERS).join(', ')}`);
+    return { kind, account: await signer.load(config) };
+}
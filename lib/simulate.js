@@ -0,0 +1,100 @@
+import { parseAbiItem, parseEventLogs, isAddressEqual } from 'viem';
+import chalk from 'chalk';
+
+// --- PRE-FLIGHT SIMULATION ---
+// Replays Fund → Claim → Extract in order against the latest block before anything is signed.
+// eth_simulateV1 runs the three calls in one block so each step sees the previous one's state.
+// Nodes without it get a step-by-step eth_call, where the compromised wallet's balance is
+// overridden with the funding amount but later steps cannot see the claim's state changes.
+
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+
+function revertReason(error) {
+    if (!error) return undefined;
+    return error.cause?.reason ?? error.reason ?? error.details ?? error.shortMessage ?? error.message.split('\n')[0];
+}
+
+function toCall({ account, request }) {
+    return { account: account.address, to: request.to, data: request.data, value: request.value, gas: request.gas };
+}
+
+// Token extracted to the secure wallet according to the extract step's logs, or the native value sent.
+function extractedAmount({ logs, tokenAddress, secureAddress, extract }) {
+    if (!tokenAddress) return extract.request.value ?? null;
+    if (!logs) return null;
+    return parseEventLogs({ abi: [TRANSFER_EVENT], logs })
+        .filter(log => isAddressEqual(log.address, tokenAddress) && isAddressEqual(log.args.to, secureAddress))
+        .reduce((sum, log) => sum + log.args.value, 0n);
+}
+
+async function simulateWithSimulateV1(publicClient, steps) {
+    const [block] = await publicClient.simulateBlocks({
+        blocks: [{ calls: steps.map(toCall) }],
+        validation: false,
+    });
+    return block.calls.map((call, i) => ({
+        label: steps[i].label,
+        status: call.status,
+        reason: revertReason(call.error),
+        gasUsed: call.gasUsed,
+        logs: call.logs,
+    }));
+}
+
+async function simulateStepByStep(publicClient, steps) {
+    const fund = steps.find(step => step.label === 'Fund');
+    let stateOverride;
+    if (fund) {
+        const currentBalance = await publicClient.getBalance({ address: fund.request.to });
+        stateOverride = [{ address: fund.request.to, balance: currentBalance + fund.request.value }];
+    }
+
+    const results = [];
+    let claimDone = false;
+    for (const step of steps) {
+        const { label } = step;
+        try {
+            await publicClient.call({ ...toCall(step), stateOverride });
+            results.push({ label, status: 'success' });
+        } catch (error) {
+            // After the claim, a revert may only mean the claimed funds are not visible to eth_call.
+            results.push({ label, status: claimDone ? 'unverified' : 'failure', reason: revertReason(error) });
+        }
+        if (label === 'Claim') claimDone = true;
+    }
+    return results;
+}
+
+// `steps` are the burst's labelled txs in send order ({ label, account, request }); Fund and Claim
+// are absent when only the extraction is being retried. `tokenAddress` is the rescued token, null
+// for native rescues (whose extraction is the value sent).
+export async function simulateBurst({ publicClient, steps, tokenAddress, secureAddress }) {
+    let method = 'eth_simulateV1';
+    let results;
+    try {
+        results = await simulateWithSimulateV1(publicClient, steps);
+    } catch (error) {
+        console.log(chalk.gray(`   - [Simulation] eth_simulateV1 unavailable (${revertReason(error)}), using step-by-step eth_call.`));
+        method = 'eth_call';
+        results = await simulateStepByStep(publicClient, steps);
+    }
+
+    const extract = steps.find(step => step.label === 'Extract');
+    const extractResult = results[steps.indexOf(extract)];
+    return {
+        method,
+        ok: results.every(result => result.status !== 'failure'),
+        steps: results,
+        expectedExtract: extractResult.status !== 'failure' ? extractedAmount({ logs: extractResult.logs, tokenAddress, secureAddress, extract }) : null,
+    };
+}
+
+export function printSimulation({ method, ok, steps, expectedExtract }) {
+    const colors = { success: chalk.greenBright, failure: chalk.red, unverified: chalk.yellow };
+    console.log(chalk.bold(`   - [Simulation] ${method}: ${ok ? chalk.greenBright('PASSED') : chalk.red('FAILED')}`));
+    for (const { label, status, reason, gasUsed } of steps) {
+        const details = [gasUsed !== undefined && `gas ${gasUsed}`, reason].filter(Boolean).join(' | ');
+        console.log(`       ${label.padEnd(8)} ${colors[status](status.toUpperCase())}${details ? ` (${details})` : ''}`);
+    }
+    console.log(`       Expected extracted amount: ${expectedExtract === null ? 'unknown' : expectedExtract.toString()}`);
+}
@@ -0,0 +1,29 @@
+import chalk from 'chalk';
+import { supportsPermit } from './token.js';
+import { permitStrategy } from './permit.js';
+import { transferStrategy } from './transfer.js';
+
+// --- ERC20 AUTO STRATEGY ---
+// Probes the token once at startup and resolves to the permit path when the token is EIP-2612
+// capable and a helper contract is configured, or to the plain transfer path otherwise.
+export const erc20Strategy = {
+    name: 'erc20',
+    title: 'ERC20 Rescue Bot (auto-detect permit)',
+    requiredConfig: ['tokenAddress'],
+
+    async resolve(engine) {
+        const { tokenAddress, permitContractAddress } = engine.config;
+        const hasPermit = await supportsPermit(engine.publicClient, tokenAddress);
+
+        if (hasPermit && permitContractAddress) {
+            console.log(chalk.blue(`Token ${tokenAddress} supports EIP-2612 permit. Using the permit path.`));
+            return permitStrategy;
+        }
+        if (hasPermit) {
+            console.log(chalk.yellow(`Token supports permit but PERMIT_CONTRACT_ADDRESS is not set. Using the transfer path.`));
+        } else {
+            console.log(chalk.blue(`Token ${tokenAddress} has no EIP-2612 permit. Using the transfer path.`));
+        }
+        return transferStrategy;
+    },
+};
@@ -0,0 +1,19 @@
+import { nativeStrategy } from './native.js';
+import { permitStrategy } from './permit.js';
+import { transferStrategy } from './transfer.js';
+import { erc20Strategy } from './erc20.js';
+
+export const strategies = {
+    [nativeStrategy.name]: nativeStrategy,
+    [permitStrategy.name]: permitStrategy,
+    [transferStrategy.name]: transferStrategy,
+    [erc20Strategy.name]: erc20Strategy,
+};
+
+export function getStrategy(name) {
+    const strategy = strategies[name];
+    if (!strategy) throw new Error(`Unknown strategy "${name}". Available: ${Object.keys(strategies).join(', ')}`);
+    return strategy;
+}
+
+export { nativeStrategy, permitStrategy, transferStrategy, erc20Strategy };
@@ -0,0 +1,56 @@
+import chalk from 'chalk';
+
+// --- NATIVE TOKEN STRATEGY ---
+// The airdrop pays out the chain's native currency: the compromised wallet claims, then transfers
+// its new balance (minus the extraction gas) straight to the relayer.
+export const nativeStrategy = {
+    name: 'native',
+    title: 'Native Token Rescue Bot',
+    requiredConfig: ['minFundingThreshold'],
+    asset: 'native', // Reports measure the extraction as the value sent to the relayer
+
+    async buildBurst(engine, { wallet, compromisedAccount, relayerNonce, compromisedNonce, extractOnly }) {
+        const { address: compromisedAddress, amount: amountToClaim } = wallet;
+        const relayerAddress = engine.relayerAddress;
+
+        if (extractOnly) {
+            // The claimed funds already sit in the wallet and pay for their own extraction.
+            const balance = await engine.publicClient.getBalance({ address: compromisedAddress });
+            const extractGas = await engine.estimateGas({ from: compromisedAddress, to: relayerAddress, value: balance }, engine.gasLimit('nativeTransfer'));
+            const amountToExtract = balance - extractGas.gas * extractGas.maxFeePerGas;
+            if (amountToExtract <= 0n) {
+                console.log(chalk.red.bold(`   - ABORTED: Remaining balance does not cover extraction gas.`));
+                return null;
+            }
+            return { extract: { account: compromisedAccount, request: { to: relayerAddress, value: amountToExtract, nonce: compromisedNonce, ...extractGas } } };
+        }
+
+        // Estimate gas for the two transactions that will be sent from the compromised wallet
+        const claimCall = engine.claimCall(wallet);
+        const claimGas = await engine.estimateGas({ from: compromisedAddress, ...claimCall }, engine.gasLimit('claim'));
+        const extractGas = await engine.estimateGas({ from: compromisedAddress, to: relayerAddress, value: amountToClaim }, engine.gasLimit('nativeTransfer'));
+
+        // Calculate the total gas cost needed on the compromised wallet
+        const claimGasCost = claimGas.gas * claimGas.maxFeePerGas;
+        const extractGasCost = extractGas.gas * extractGas.maxFeePerGas;
+        const totalGasToSend = claimGasCost + extractGasCost;
+
+        // The final extraction amount will be the full claim amount minus the gas for the extraction transaction itself.
+        const amountToExtract = amountToClaim - extractGasCost;
+        if (amountToExtract <= 0n) {
+            console.log(chalk.red.bold(`   - ABORTED: Claim amount is too small to cover extraction gas.`));
+            return null;
+        }
+
+        const fundGas = await engine.estimateGas({ from: relayerAddress, to: compromisedAddress, value: totalGasToSend }, engine.gasLimit('nativeTransfer'));
+        return {
+            fund: { account: engine.relayerAccount, request: { to: compromisedAddress, value: totalGasToSend, nonce: relayerNonce, ...fundGas } },
+            claim: { account: compromisedAccount, request: { ...claimCall, nonce: compromisedNonce, ...claimGas } },
+            // The extraction leaves the compromised wallet, so it signs it.
+            extract: { account: compromisedAccount, request: { to: relayerAddress, value: amountToExtract, nonce: compromisedNonce + 1, ...extractGas } },
+        };
+    },
+
+    // The airdrop contract holding at least MIN_FUNDING_THRESHOLD_GWEI.
+    defaultTrigger: ({ minFundingThreshold }) => ({ balance: minFundingThreshold }),
+};
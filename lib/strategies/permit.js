@@ -0,0 +1,60 @@
+import { encodeFunctionData } from 'viem';
+import { TOKEN_ABI, tokenFundingTrigger } from './token.js';
+
+// --- ABIs ---
+const PERMIT_HELPER_ABI = [{ name: 'rescueWithPermit', type: 'function', stateMutability: 'nonpayable', inputs: [{ name: 'tokenContract', type: 'address' }, { name: 'compromisedWallet', type: 'address' }, { name: 'amount', type: 'uint256' }, { name: 'deadline', type: 'uint256' }, { name: 'v', type: 'uint8' }, { name: 'r', type: 'bytes32' }, { name: 's', type: 'bytes32' }] }];
+
+// --- ERC20 PERMIT STRATEGY ---
+// The compromised wallet only pays for the claim. The extraction is sent by the relayer through the
+// helper contract, using an EIP-2612 permit signed off-chain by the compromised wallet.
+export const permitStrategy = {
+    name: 'permit',
+    title: 'ERC20 Permit Rescue Bot',
+    requiredConfig: ['tokenAddress', 'permitContractAddress'],
+    asset: 'token', // Reports measure the extraction from TOKEN_ADDRESS Transfer logs
+
+    async buildBurst(engine, { wallet, compromisedAccount, relayerNonce, compromisedNonce, extractOnly }) {
+        const { address: compromisedAddress, amount: amountToClaim } = wallet;
+        const { tokenAddress, permitContractAddress } = engine.config;
+
+        const [tokenName, permitNonce] = await Promise.all([
+            engine.publicClient.readContract({ address: tokenAddress, abi: TOKEN_ABI, functionName: 'name' }),
+            engine.publicClient.readContract({ address: tokenAddress, abi: TOKEN_ABI, functionName: 'nonces', args: [compromisedAddress] }),
+        ]);
+
+        // The permit must be signed before estimating, since the extraction calldata embeds it.
+        const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+        const signatureRaw = await compromisedAccount.signTypedData({
+            domain: { name: tokenName, version: '1', chainId: engine.chain.id, verifyingContract: tokenAddress },
+            types: { Permit: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }, { name: 'value', type: 'uint256' }, { name: 'nonce', type: 'uint256' }, { name: 'deadline', type: 'uint256' }] },
+            primaryType: 'Permit',
+            message: { owner: compromisedAddress, spender: permitContractAddress, value: amountToClaim, nonce: permitNonce, deadline },
+        });
+        const signature = { r: signatureRaw.slice(0, 66), s: `0x${signatureRaw.slice(66, 130)}`, v: parseInt(`0x${signatureRaw.slice(130, 132)}`) };
+
+        const extractTxTemplate = { from: engine.relayerAddress, to: permitContractAddress, data: encodeFunctionData({ abi: PERMIT_HELPER_ABI, functionName: 'rescueWithPermit', args: [tokenAddress, compromisedAddress, amountToClaim, deadline, signature.v, signature.r, signature.s] }) };
+        const extractGas = await engine.estimateGas(extractTxTemplate, engine.gasLimit('permitRescue'));
+
+        // Retrying after a confirmed claim: the relayer alone sends the permit extraction.
+        if (extractOnly) {
+            return { extract: { account: engine.relayerAccount, request: { to: permitContractAddress, data: extractTxTemplate.data, nonce: relayerNonce, ...extractGas } } };
+        }
+
+        const claimGasLimit = engine.gasLimit('claim');
+        // The claim is the compromised wallet's own tx: on a swept wallet it must outbid the sweeper, which
+        // the relayer's extraction fees (estimated for the helper contract) never do.
+        const { maxFeePerGas, maxPriorityFeePerGas } = engine.outbidSweeper(extractGas, engine.sweepers?.profileFor(compromisedAddress));
+        const claimGasFees = { maxFeePerGas, maxPriorityFeePerGas };
+
+        const gasToSend = claimGasLimit * claimGasFees.maxFeePerGas;
+        const fundGas = await engine.estimateGas({ from: engine.relayerAddress, to: compromisedAddress, value: gasToSend }, engine.gasLimit('nativeTransfer'));
+
+        return {
+            fund: { account: engine.relayerAccount, request: { to: compromisedAddress, value: gasToSend, nonce: relayerNonce, ...fundGas } },
+            claim: { account: compromisedAccount, request: { ...engine.claimCall(wallet), nonce: compromisedNonce, gas: claimGasLimit, ...claimGasFees } },
+            extract: { account: engine.relayerAccount, request: { to: permitContractAddress, data: extractTxTemplate.data, nonce: relayerNonce + 1, ...extractGas } },
+        };
+    },
+
+    defaultTrigger: tokenFundingTrigger,
+};
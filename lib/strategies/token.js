@@ -0,0 +1,34 @@
+import { zeroAddress } from 'viem';
+
+// --- SHARED ERC20 HELPERS ---
+
+export const TOKEN_ABI = [
+    { name: 'name', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'string' }] },
+    { name: 'symbol', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'string' }] },
+    { name: 'decimals', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'uint8' }] },
+    { name: 'nonces', type: 'function', stateMutability: 'view', inputs: [{ name: 'owner', type: 'address' }], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'DOMAIN_SEPARATOR', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'bytes32' }] },
+    { name: 'balanceOf', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ name: '', type: 'uint256' }] },
+    { name: 'transfer', type: 'function', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'value', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+    { name: 'Transfer', type: 'event', inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'value', type: 'uint256', indexed: false }] },
+];
+
+// A token is treated as EIP-2612 capable when both `nonces(owner)` and `DOMAIN_SEPARATOR()` answer.
+export async function supportsPermit(publicClient, tokenAddress) {
+    try {
+        await Promise.all([
+            publicClient.readContract({ address: tokenAddress, abi: TOKEN_ABI, functionName: 'nonces', args: [zeroAddress] }),
+            publicClient.readContract({ address: tokenAddress, abi: TOKEN_ABI, functionName: 'DOMAIN_SEPARATOR' }),
+        ]);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Default trigger of the ERC20 strategies: a token Transfer into the airdrop contract.
+export const tokenFundingTrigger = ({ tokenAddress, airdropAddress }) => ({
+    event: 'Transfer(address indexed from, address indexed to, uint256 value)',
+    eventAddress: tokenAddress,
+    eventArgs: [`to=${airdropAddress}`],
+});
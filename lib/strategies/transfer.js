@@ -0,0 +1,53 @@
+import { encodeFunctionData } from 'viem';
+import chalk from 'chalk';
+import { TOKEN_ABI, tokenFundingTrigger } from './token.js';
+
+// --- ERC20 TRANSFER STRATEGY ---
+// For tokens without EIP-2612 permit: the relayer funds gas for both the claim and a plain
+// `transfer(secure, balance)`, which the compromised wallet sends right after the claim (nonce + 1).
+export const transferStrategy = {
+    name: 'transfer',
+    title: 'ERC20 Transfer Rescue Bot',
+    requiredConfig: ['tokenAddress'],
+    asset: 'token',
+
+    async buildBurst(engine, { wallet, compromisedAccount, relayerNonce, compromisedNonce, allocation, extractOnly }) {
+        const { address: compromisedAddress } = wallet;
+        const { tokenAddress } = engine.config;
+        const relayerAddress = engine.relayerAddress;
+
+        // Extract what the wallet will actually hold after the claim: its current token balance plus the
+        // allocation the airdrop contract reports right now. Without an on-chain amount (bool or no
+        // eligibility check) the wallet's amount from allocations.json has to do.
+        // When only the extraction is retried the allocation is 0 and the balance is already there.
+        const currentBalance = await engine.publicClient.readContract({ address: tokenAddress, abi: TOKEN_ABI, functionName: 'balanceOf', args: [compromisedAddress] });
+        const amountToExtract = currentBalance + (allocation ?? wallet.amount);
+        if (amountToExtract <= 0n) {
+            console.log(chalk.red.bold(`   - ABORTED: Nothing to extract after the claim.`));
+            return null;
+        }
+        console.log(`   - Expected post-claim balance: ${amountToExtract.toString()}`);
+
+        const extractCall = { to: tokenAddress, data: encodeFunctionData({ abi: TOKEN_ABI, functionName: 'transfer', args: [relayerAddress, amountToExtract] }) };
+        // Before the claim lands the transfer would revert, so this usually ends on the fallback limit.
+        const extractGas = await engine.estimateGas({ from: compromisedAddress, ...extractCall }, engine.gasLimit('tokenTransfer'));
+        let totalGasToSend = extractGas.gas * extractGas.maxFeePerGas;
+
+        let claim;
+        if (!extractOnly) {
+            const claimCall = engine.claimCall(wallet);
+            const claimGas = await engine.estimateGas({ from: compromisedAddress, ...claimCall }, engine.gasLimit('claim'));
+            totalGasToSend += claimGas.gas * claimGas.maxFeePerGas;
+            claim = { account: compromisedAccount, request: { ...claimCall, nonce: compromisedNonce, ...claimGas } };
+        }
+
+        const fundGas = await engine.estimateGas({ from: relayerAddress, to: compromisedAddress, value: totalGasToSend }, engine.gasLimit('nativeTransfer'));
+        return {
+            fund: { account: engine.relayerAccount, request: { to: compromisedAddress, value: totalGasToSend, nonce: relayerNonce, ...fundGas } },
+            claim,
+            extract: { account: compromisedAccount, request: { ...extractCall, nonce: compromisedNonce + (claim ? 1 : 0), ...extractGas } },
+        };
+    },
+
+    defaultTrigger: tokenFundingTrigger,
+};
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import { createPublicClient, webSocket, getAddress, formatGwei, decodeFunctionData } from 'viem';
+import chalk from 'chalk';
+
+// --- SWEEPER DETECTION ---
+// Profiles every compromised address from block (and, over a websocket, mempool) traffic:
+// how fast incoming ETH leaves again, at what tip, and to which sweeper addresses. A tx from the wallet
+// only counts as a sweep when value leaves it: native value after an incoming funding, or a token
+// transfer. Approvals, cancellations and our own bursts are not sweeps.
+// Only transactions touching a watched address are kept, so a run can be recorded to a fixture
+// file and replayed offline with SWEEPER_FIXTURE / `cli.js sweepers --replay=<file>`.
+
+const tipOf = (tx) => BigInt(tx.maxPriorityFeePerGas ?? tx.gasPrice ?? 0);
+
+const TRANSFER_ABI = [
+    { name: 'transfer', type: 'function', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+    { name: 'transferFrom', type: 'function', stateMutability: 'nonpayable', inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+];
+
+// The recipient of a non-zero ERC20 transfer sent by the wallet itself, null for any other call.
+function tokenRecipient(tx) {
+    try {
+        const { args } = decodeFunctionData({ abi: TRANSFER_ABI, data: tx.input });
+        return args.at(-1) > 0n ? getAddress(args.at(-2)) : null;
+    } catch {
+        return null;
+    }
+}
+const bigintReplacer = (_, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+export function createSweeperWatcher({ addresses, recordFile }) {
+    const profiles = new Map(addresses.map(address => [getAddress(address), { incoming: [], sweeps: [], pending: new Map(), sweepers: new Set() }]));
+    const ownHashes = new Set(); // Our own claim/extract txs leave the wallet too; they are not sweeps.
+    const countedHashes = new Set();
+    const recorded = [];
+    let stopWatching = [];
+
+    function record(event) {
+        if (!recordFile) return;
+        recorded.push(event);
+        fs.writeFileSync(recordFile, JSON.stringify({ events: recorded }, bigintReplacer, 2));
+    }
+
+    function ingestTx(tx, block) {
+        const from = tx.from ? getAddress(tx.from) : null;
+        const to = tx.to ? getAddress(tx.to) : null;
+        let relevant = false;
+
+        if (to && profiles.has(to) && BigInt(tx.value || 0) > 0n && block) {
+            profiles.get(to).incoming.push({ hash: tx.hash, value: BigInt(tx.value), blockNumber: BigInt(block.number), timestamp: BigInt(block.timestamp) });
+            relevant = true;
+        }
+        if (from && profiles.has(from) && !ownHashes.has(tx.hash)) {
+            const profile = profiles.get(from);
+            relevant = true; // Recorded either way, so a fixture replays with the same classification
+            const lastIncoming = profile.incoming.filter(incoming => !block || incoming.blockNumber <= BigInt(block.number)).at(-1);
+            const tokenTo = tokenRecipient(tx);
+            if (!tokenTo && !(lastIncoming && BigInt(tx.value || 0) > 0n)) return relevant;
+            const sweeper = tokenTo ?? to;
+            profile.sweepers.add(sweeper);
+            if (!block) {
+                profile.pending.set(tx.hash, { hash: tx.hash, to: sweeper, tip: tipOf(tx), maxFeePerGas: BigInt(tx.maxFeePerGas ?? tx.gasPrice ?? 0) });
+            } else if (!countedHashes.has(tx.hash)) {
+                countedHashes.add(tx.hash);
+                profile.pending.delete(tx.hash);
+                profile.sweeps.push({
+                    hash: tx.hash,
+                    to: sweeper,
+                    tip: tipOf(tx),
+                    maxFeePerGas: BigInt(tx.maxFeePerGas ?? tx.gasPrice ?? 0),
+                    delayBlocks: lastIncoming ? BigInt(block.number) - lastIncoming.blockNumber : null,
+                    delaySeconds: lastIncoming ? BigInt(block.timestamp) - lastIncoming.timestamp : null,
+                });
+            }
+        }
+        return relevant;
+    }
+
+    const watcher = {
+        ingestBlock(block) {
+            const relevant = block.transactions.filter(tx => typeof tx === 'object' && ingestTx(tx, block));
+            if (relevant.length > 0) record({ type: 'block', block: { number: block.number, timestamp: block.timestamp, transactions: relevant } });
+        },
+
+        ingestPending(tx) {
+            if (ingestTx(tx, null)) record({ type: 'pending', tx });
+        },
+
+        ignore(hashes) {
+            for (const hash of hashes) ownHashes.add(hash);
+        },
+
+        replay(fixtureFile) {
+            const { events } = JSON.parse(fs.readFileSync(fixtureFile, 'utf-8'));
+            for (const event of events) {
+                if (event.type === 'block') watcher.ingestBlock(event.block);
+                else watcher.ingestPending(event.tx);
+            }
+            console.log(chalk.blue(`[SWEEPER] Replayed ${events.length} recorded events from ${fixtureFile}.`));
+        },
+
+        // Scans the last `lookbackBlocks` blocks, then follows new heads (and the mempool over a websocket).
+        // Without a websocket, blocks are polled through `httpClient` (the engine's RPC pool).
+        async start({ wsUrl, httpClient, lookbackBlocks = 0, watchMempool = true }) {
+            const client = wsUrl ? createPublicClient({ transport: webSocket(wsUrl) }) : httpClient;
+
+            if (lookbackBlocks > 0) {
+                const head = await client.getBlockNumber();
+                const from = head - BigInt(lookbackBlocks) + 1n;
+                for (let number = from > 0n ? from : 0n; number <= head; number++) {
+                    watcher.ingestBlock(await client.getBlock({ blockNumber: number, includeTransactions: true }));
+                }
+            }
+
+            const onError = (error) => console.error(chalk.red('[SWEEPER WATCH ERROR]', error.message));
+            // Over a websocket, viem hands a block it failed to fetch over as undefined.
+            const onBlock = (block) => {
+                if (!block) return onError(new Error('New head received without its block.'));
+                try {
+                    watcher.ingestBlock(block);
+                } catch (error) {
+                    onError(error);
+                }
+            };
+            stopWatching.push(client.watchBlocks({ includeTransactions: true, onBlock, onError }));
+            if (wsUrl && watchMempool) {
+                stopWatching.push(client.watchPendingTransactions({
+                    onTransactions: async (hashes) => {
+                        for (const hash of hashes) {
+                            const tx = await client.getTransaction({ hash }).catch(() => null);
+                            if (tx) watcher.ingestPending(tx);
+                        }
+                    },
+                    onError,
+                }));
+            }
+            stopWatching.push(async () => {
+                if (wsUrl) (await client.transport.getRpcClient()).close();
+            });
+            console.log(chalk.blue(`[SWEEPER] Watching ${profiles.size} wallets via ${wsUrl ? `websocket ${wsUrl}` : 'HTTP polling (RPC pool)'}${wsUrl && watchMempool ? ' (blocks + mempool)' : ' (blocks)'}.`));
+        },
+
+        async stop() {
+            for (const stop of stopWatching) await stop();
+            stopWatching = [];
+        },
+
+        profileFor(address) {
+            const profile = profiles.get(getAddress(address));
+            if (!profile) return null;
+            const observed = [...profile.sweeps, ...profile.pending.values()];
+            const tips = observed.map(sweep => sweep.tip);
+            return {
+                address: getAddress(address),
+                swept: observed.length > 0,
+                incoming: profile.incoming.length,
+                sweeps: profile.sweeps.length,
+                pendingSweeps: profile.pending.size,
+                sweepers: [...profile.sweepers].filter(Boolean),
+                medianDelayBlocks: median(profile.sweeps.map(sweep => sweep.delayBlocks).filter(delay => delay !== null)),
+                medianDelaySeconds: median(profile.sweeps.map(sweep => sweep.delaySeconds).filter(delay => delay !== null)),
+                maxTip: tips.length > 0 ? tips.reduce((a, b) => (a > b ? a : b)) : null,
+            };
+        },
+
+        profiles() {
+            return [...profiles.keys()].map(address => watcher.profileFor(address));
+        },
+    };
+    return watcher;
+}
+
+export function printSweeperReport(profiles) {
+    console.log(chalk.bold.underline('\n--- Sweeper Report ---'));
+    for (const profile of profiles) {
+        if (!profile.swept) {
+            console.log(`${profile.address}: ${chalk.greenBright('no sweeper seen')} (${profile.incoming} incoming txs observed)`);
+            continue;
+        }
+        const delay = profile.medianDelayBlocks === null ? 'n/a' : `${profile.medianDelayBlocks} blocks / ${profile.medianDelaySeconds}s`;
+        console.log(`${profile.address}: ${chalk.red.bold('SWEEPER ACTIVE')} | sweeps ${profile.sweeps} (+${profile.pendingSweeps} pending) | median delay ${delay} | max tip ${formatGwei(profile.maxTip)} gwei`);
+        console.log(`    sweeper addresses: ${profile.sweepers.join(', ')}`);
+    }
+}
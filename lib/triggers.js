@@ -0,0 +1,171 @@
+import { parseAbiItem, toFunctionSignature, toEventSignature } from 'viem';
+import chalk from 'chalk';
+import { parseFunction, castLiteral } from './claim.js';
+import { TOKEN_ABI } from './strategies/token.js';
+
+// --- TRIGGERS ---
+// What starts the rescue cycle. Every configured trigger is checked on each new block:
+//   block      the chain reached TRIGGER_BLOCK
+//   timestamp  a block at or after TRIGGER_TIMESTAMP
+//   view       a view function returns TRIGGER_VIEW_EXPECT (e.g. claimActive() → true, paused() → false)
+//   event      a log matching TRIGGER_EVENT was emitted since the last check
+//   balance    the airdrop contract holds at least TRIGGER_BALANCE (native, or TRIGGER_BALANCE_TOKEN)
+// TRIGGER_MODE=all fires once every trigger holds (an event counts once seen), any on the first one.
+// Without any TRIGGER_* the strategy's own trigger is used (native: balance, ERC20: token Transfer).
+
+function parseEvent(signature) {
+    const text = signature.trim();
+    return parseAbiItem(text.startsWith('event ') ? text : `event ${text}`);
+}
+
+// "to=0x..,id=3" → { to: '0x..', id: 3n }, indexed parameters only (they are what getLogs can filter on).
+function eventFilter(abiItem, filters) {
+    return Object.fromEntries(filters.map(filter => {
+        const [name, value] = filter.split('=').map(part => part.trim());
+        const param = abiItem.inputs.find(input => input.name === name && input.indexed);
+        if (!param) throw new Error(`TRIGGER_EVENT_ARGS: "${name}" is not an indexed parameter of ${abiItem.name}.`);
+        return [name, castLiteral(value, param.type)];
+    }));
+}
+
+const TRIGGER_TYPES = {
+    block: (engine, { block }) => ({
+        description: `block ≥ ${block}`,
+        check: async ({ head }) => head.number >= block,
+    }),
+
+    timestamp: (engine, { timestamp }) => ({
+        description: `block time ≥ ${new Date(Number(timestamp) * 1000).toISOString()}`,
+        check: async ({ head }) => head.timestamp >= timestamp,
+    }),
+
+    view: (engine, { view, viewAddress, viewArgs, viewExpect }) => {
+        const abiItem = parseFunction(view);
+        const address = viewAddress ?? engine.config.airdropAddress;
+        if (viewArgs.length !== abiItem.inputs.length) throw new Error(`TRIGGER_VIEW: ${abiItem.name} takes ${abiItem.inputs.length} arguments but ${viewArgs.length} were given.`);
+        const args = abiItem.inputs.map((param, i) => castLiteral(viewArgs[i], param.type));
+        return {
+            description: `${toFunctionSignature(abiItem)} on ${address} returns ${viewExpect}`,
+            check: async ({ head }) => {
+                const result = await engine.publicClient.readContract({ address, abi: [abiItem], functionName: abiItem.name, args, blockNumber: head.number });
+                return String(result).toLowerCase() === viewExpect.toLowerCase();
+            },
+        };
+    },
+
+    event: (engine, { event, eventAddress, eventArgs }) => {
+        const abiItem = parseEvent(event);
+        const address = eventAddress ?? engine.config.airdropAddress;
+        const args = eventFilter(abiItem, eventArgs);
+        return {
+            description: `${toEventSignature(abiItem)} from ${address}${eventArgs.length > 0 ? ` (${eventArgs.join(', ')})` : ''}`,
+            event: true,
+            check: async ({ head, fromBlock }) => {
+                const logs = await engine.publicClient.getLogs({ address, event: abiItem, args, fromBlock, toBlock: head.number });
+                return logs.length > 0;
+            },
+        };
+    },
+
+    balance: (engine, { balance, balanceToken }) => {
+        const address = engine.config.airdropAddress;
+        return {
+            description: `${balanceToken ? `token ${balanceToken}` : 'native'} balance of ${address} ≥ ${balance}`,
+            check: async ({ head }) => {
+                const current = balanceToken
+                    ? await engine.publicClient.readContract({ address: balanceToken, abi: TOKEN_ABI, functionName: 'balanceOf', args: [address], blockNumber: head.number })
+                    : await engine.publicClient.getBalance({ address, blockNumber: head.number });
+                return current >= balance;
+            },
+        };
+    },
+};
+
+// Builds the configured triggers, or the strategy's default ones. Parsing errors surface at startup.
+export function createTriggers(engine) {
+    const { trigger } = engine.config;
+    const isSet = (settings) => (type) => settings[type] !== undefined && settings[type] !== null;
+    const settings = Object.keys(TRIGGER_TYPES).some(isSet(trigger)) ? trigger : { ...trigger, ...engine.strategy.defaultTrigger(engine.config) };
+    return Object.keys(TRIGGER_TYPES).filter(isSet(settings)).map(type => ({ type, ...TRIGGER_TYPES[type](engine, settings) }));
+}
+
+// Checks the triggers on every new block and runs a cycle when they fire. Until then, the bursts are
+// warmed up (nonces fetched, built and signed) every TRIGGER_WARMUP_BLOCKS. With an event trigger the
+// listener keeps going and every new matching event fires again; otherwise it resolves after one cycle.
+export function listenForTriggers(engine, runCycle) {
+    const { triggers } = engine;
+    const { mode, warmupBlocks } = engine.config.trigger;
+    const repeat = triggers.some(trigger => trigger.event);
+
+    console.log(chalk.magenta.bold(`\n[LISTENER MODE] Waiting for${triggers.length > 1 ? ` ${mode} of` : ''}:`));
+    for (const trigger of triggers) console.log(chalk.magenta(`   - ${trigger.type}: ${trigger.description}`));
+
+    return new Promise((resolve) => {
+        let lastChecked = null;
+        let lastWarmUp = null;
+        let wasReady = false;
+        let checking = false;
+        const seen = new Set(); // Event triggers matched since the last cycle
+
+        const unwatch = engine.publicClient.watchBlocks({
+            pollingInterval: engine.pollIntervalMs,
+            onBlock: async (head) => {
+                // A slow check or a running cycle holds the next blocks back; they are covered by the next range.
+                if (checking) return;
+                checking = true;
+                try {
+                    const fromBlock = lastChecked === null ? head.number : lastChecked + 1n;
+                    if (fromBlock > head.number) return;
+                    const results = await Promise.all(triggers.map(trigger => trigger.check({ head, fromBlock })));
+                    lastChecked = head.number;
+
+                    const matchedEvents = triggers.filter((trigger, i) => trigger.event && results[i]);
+                    matchedEvents.forEach(trigger => seen.add(trigger));
+                    const holds = triggers.map((trigger, i) => (trigger.event ? seen.has(trigger) : results[i]));
+                    const ready = mode === 'any' ? holds.some(Boolean) : holds.every(Boolean);
+                    // Conditions fire when they become true, events every time they match.
+                    const fire = ready && (!wasReady || matchedEvents.length > 0);
+                    wasReady = ready;
+
+                    if (!fire) {
+                        if (warmupBlocks > 0 && (lastWarmUp === null || head.number - lastWarmUp >= BigInt(warmupBlocks))) {
+                            lastWarmUp = head.number;
+                            engine.warmUp(head.number); // In the background, so the next block is still checked on time
+                        }
+                        return;
+                    }
+
+                    const fired = triggers.filter((trigger, i) => holds[i]).map(trigger => trigger.description);
+                    console.log(chalk.bgGreen.black.bold(`\n!! TRIGGER FIRED at block ${head.number}: ${fired.join(' + ')} !!\n`));
+                    engine.emit('trigger.fired', { block: head.number, triggers: fired });
+                    seen.clear();
+                    let ran;
+                    try {
+                        ran = await runCycle({ block: head.number, triggers: fired });
+                    } catch (error) {
+                        // The triggers still hold: re-arm them so the next block retries. The journal skips
+                        // the wallets this cycle already settled.
+                        console.error(chalk.red('[CYCLE ERROR]', error.shortMessage || error.message, '- retrying on the next block.'));
+                        wasReady = false;
+                        triggers.filter((trigger, i) => trigger.event && holds[i]).forEach(trigger => seen.add(trigger));
+                        return;
+                    }
+                    if (!repeat) {
+                        unwatch();
+                        console.log(chalk.magenta('\n--- Rescue cycle completed. The script will now exit. ---'));
+                        resolve();
+                    } else if (ran) {
+                        console.log(chalk.magenta('\n--- Rescue cycle completed. Returning to listener mode. ---'));
+                    }
+                } catch (error) {
+                    console.error(chalk.red('[TRIGGER ERROR]', error.shortMessage || error.message));
+                } finally {
+                    checking = false;
+                }
+            },
+            onError: (error) => {
+                console.error(chalk.red('[LISTENER ERROR]', error.message));
+            },
+        });
+    });
+}
@@ -0,0 +1,41 @@
+import fs from 'fs';
+import { getAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+// --- WALLET LOADING ---
+// Compromised keys come from the vault or V3 keystores (lib/keystore.js), or else from pk.txt, one
+// plaintext private key per line. Each wallet carries a signing account, not its raw key.
+// Per-wallet claim data comes either from allocations.json (address -> amount in wei) or from a
+// merkle-distributor proofs file:
+// { "merkleRoot": "0x..", "claims": { "0xAddress": { "index": 0, "amount": "0x..", "proof": ["0x.."] } } }
+
+export const normalizePk = (pk) => (pk.startsWith('0x') ? pk : `0x${pk}`);
+// Accept any checksum casing in the input files.
+const byChecksumAddress = (entries) => Object.fromEntries(Object.entries(entries).map(([address, value]) => [getAddress(address), value]));
+
+function loadClaims({ allocationsFile, proofsFile }) {
+    if (proofsFile) {
+        const { claims } = JSON.parse(fs.readFileSync(proofsFile, 'utf-8'));
+        return byChecksumAddress(claims);
+    }
+    const allocations = byChecksumAddress(JSON.parse(fs.readFileSync(allocationsFile, 'utf-8')));
+    return Object.fromEntries(Object.entries(allocations).map(([address, amount]) => [address, { amount }]));
+}
+
+export function readPkFile(pkFile) {
+    return fs.readFileSync(pkFile, 'utf-8').split('\n').map(k => k.trim()).filter(Boolean);
+}
+
+export function loadWallets({ pkFile = 'pk.txt', allocationsFile = 'allocations.json', proofsFile } = {}, privateKeys = readPkFile(pkFile)) {
+    const claims = loadClaims({ allocationsFile, proofsFile });
+
+    const wallets = [];
+    for (const rawPk of privateKeys) {
+        const account = privateKeyToAccount(normalizePk(rawPk));
+        const claim = claims[account.address];
+        if (claim && BigInt(claim.amount) > 0n) {
+            wallets.push({ account, address: account.address, amount: BigInt(claim.amount), index: claim.index, proof: claim.proof });
+        }
+    }
+    return wallets;
+}
@@ -0,0 +1,61 @@
+import http from 'http';
+import { keccak256, concat } from 'viem';
+import 'dotenv/config';
+import chalk from 'chalk';
+
+// --- LOCAL STUB RELAY ---
+// Minimal eth_sendBundle / eth_callBundle endpoint for testing SUBMISSION_MODE=bundle locally.
+// Point BUNDLE_RELAY_URL at it. With STUB_RELAY_UPSTREAM set (e.g. an anvil node), accepted bundles
+// are forwarded there as raw transactions so they actually get mined.
+const PORT = parseInt(process.env.STUB_RELAY_PORT || '8546', 10);
+const UPSTREAM = process.env.STUB_RELAY_UPSTREAM;
+const forwarded = new Set();
+
+async function forward(method, params) {
+    const response = await fetch(UPSTREAM, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+    return response.json();
+}
+
+async function handle({ method, params }) {
+    const [bundle] = params || [];
+    switch (method) {
+        case 'eth_callBundle':
+            console.log(chalk.blue(`[STUB] eth_callBundle: ${bundle.txs.length} txs @ ${bundle.blockNumber}`));
+            return { results: bundle.txs.map(() => ({})) };
+        case 'eth_sendBundle': {
+            console.log(chalk.magenta(`[STUB] eth_sendBundle: ${bundle.txs.length} txs @ ${bundle.blockNumber}`));
+            const key = bundle.txs.join('');
+            if (UPSTREAM && !forwarded.has(key)) {
+                forwarded.add(key);
+                for (const tx of bundle.txs) {
+                    const result = await forward('eth_sendRawTransaction', [tx]);
+                    if (result.error) console.warn(chalk.yellow(`[STUB] Upstream rejected tx: ${result.error.message}`));
+                }
+            }
+            return { bundleHash: keccak256(concat(bundle.txs)) };
+        }
+        default:
+            throw new Error(`Method ${method} not supported by stub relay`);
+    }
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+            const result = await handle(payload);
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: payload.id, result }));
+        } catch (error) {
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: payload?.id ?? null, error: { code: -32000, message: error.message } }));
+        }
+    });
+}).listen(PORT, () => {
+    console.log(chalk.bold.cyan(`--- Stub relay listening on http://127.0.0.1:${PORT}${UPSTREAM ? ` (forwarding to ${UPSTREAM})` : ''} ---`));
+});
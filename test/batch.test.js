@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNonceAllocator, relayerBudget, runConcurrently } from '../lib/batch.js';
+import { RELAYER, step, permitBurst } from './helpers.js';
+
+// --- NONCES ---
+
+test('createNonceAllocator gives the relayer steps of each burst consecutive nonces in wallet order', () => {
+    // Every burst is prepared against the same pending nonce.
+    const bursts = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002', '0x0000000000000000000000000000000000000003'].map(wallet => permitBurst(wallet, 7));
+    const nonces = createNonceAllocator(7);
+    const changed = bursts.map(steps => nonces.assign(steps, RELAYER));
+
+    assert.deepEqual(bursts.map(steps => steps.map(({ request }) => request.nonce)), [[7, 0, 8], [9, 0, 10], [11, 0, 12]]);
+    assert.equal(nonces.next, 13);
+    // Only the renumbered steps need signing again; the compromised wallet's claim never moves.
+    assert.deepEqual(changed.map(steps => steps.map(({ label }) => label)), [[], ['Fund', 'Extract'], ['Fund', 'Extract']]);
+});
+
+test('createNonceAllocator skips bursts without relayer steps', () => {
+    const nonces = createNonceAllocator(3);
+    const extractOnly = [step('Extract', '0x0000000000000000000000000000000000000001', { gas: 21_000n, nonce: 4 })];
+    assert.deepEqual(nonces.assign(extractOnly, RELAYER), []);
+    assert.equal(nonces.next, 3);
+});
+
+// --- BUDGET ---
+
+test('relayerBudget counts the funding value, the relayer\'s gas and the bidding headroom', () => {
+    const steps = permitBurst('0x0000000000000000000000000000000000000001', 0);
+    const relayerGas = (21_000n + 50_000n) * 100n;
+    const burstSpend = (21_000n + 100_000n + 50_000n) * 100n;
+
+    assert.equal(relayerBudget(steps, RELAYER, null), 1000n + relayerGas);
+    // Bumps may raise the burst's spend up to the cap, all of it paid by the relayer.
+    assert.equal(relayerBudget(steps, RELAYER, 20_000_000n), 1000n + relayerGas + 20_000_000n - burstSpend);
+    // A cap the burst already exceeds leaves no headroom.
+    assert.equal(relayerBudget(steps, RELAYER, burstSpend - 1n), 1000n + relayerGas);
+});
+
+// --- CONCURRENCY ---
+
+test('runConcurrently keeps at most `limit` workers in flight and the results in input order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await runConcurrently([30, 5, 20, 1, 10], 2, async (ms, i) => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        inFlight--;
+        return i;
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+});
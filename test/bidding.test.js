@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bumpFees } from '../lib/gas.js';
+import { planReplacement, refreshBids, worstCaseSpend } from '../lib/bidding.js';
+import { RELAYER, WALLET, FEES, bid, nativeBids } from './helpers.js';
+
+const policy = { bumpPercent: 10, maxSpendPerWallet: null, relayerAddress: RELAYER, symbol: 'ETH' };
+
+// --- FEE BUMPS ---
+
+test('bumpFees raises both fee fields by at least the bump percentage', () => {
+    for (const [maxFeePerGas, maxPriorityFeePerGas] of [[100n, 10n], [30_000_000_000n, 1_500_000_000n], [7n, 7n], [1n, 0n]]) {
+        const bumped = bumpFees({ maxFeePerGas, maxPriorityFeePerGas }, 10);
+        assert.ok(bumped.maxFeePerGas * 10n >= maxFeePerGas * 11n, `max fee ${maxFeePerGas} → ${bumped.maxFeePerGas}`);
+        assert.ok(bumped.maxPriorityFeePerGas * 10n >= maxPriorityFeePerGas * 11n, `tip ${maxPriorityFeePerGas} → ${bumped.maxPriorityFeePerGas}`);
+        assert.ok(bumped.maxFeePerGas >= bumped.maxPriorityFeePerGas);
+    }
+    assert.deepEqual(bumpFees(FEES, 10), { maxFeePerGas: 111n, maxPriorityFeePerGas: 12n });
+});
+
+test('bumpFees outbids a competitor tip and lifts the max fee along with it', () => {
+    const bumped = bumpFees(FEES, 10, 50n);
+    assert.equal(bumped.maxPriorityFeePerGas, 56n);
+    assert.equal(bumped.maxFeePerGas, 146n); // The old max fee plus the whole tip increase
+    // A competitor below our own bump changes nothing.
+    assert.deepEqual(bumpFees(FEES, 10, 5n), bumpFees(FEES, 10));
+});
+
+// --- REPLACEMENT PLANS ---
+
+test('planReplacement tops up the pending funding with the extra gas of the compromised wallet', () => {
+    const [fund, claim, extract] = nativeBids();
+    const plan = planReplacement([fund, claim, extract], policy, null);
+    assert.equal(plan.requests.get(claim).maxFeePerGas, 111n);
+    assert.equal(plan.requests.get(extract).maxFeePerGas, 111n);
+    assert.equal(plan.requests.get(extract).value, 1_000_000n);
+    // (111 - 100) * (100k + 50k) gas more for the wallet, paid by the funding tx.
+    assert.equal(plan.requests.get(fund).value, 1000n + 1_650_000n);
+    assert.equal(plan.requests.get(fund).maxFeePerGas, 111n);
+    assert.equal(plan.spend, 171_000n * 111n);
+});
+
+test('planReplacement pays from the extraction once the funding landed', () => {
+    const [fund, claim, extract] = nativeBids();
+    fund.status = 'included';
+    const plan = planReplacement([fund, claim, extract], policy, null);
+    assert.equal(plan.requests.get(fund), fund.request);
+    assert.equal(plan.requests.get(claim), claim.request); // No funding and no value to pay it from
+    assert.equal(plan.requests.get(extract).value, 1_000_000n - 550_000n);
+});
+
+test('planReplacement bumps the relayer\'s own steps without touching the funding value', () => {
+    const fund = bid('Fund', RELAYER, { to: WALLET, value: 1000n, gas: 21_000n });
+    const claim = bid('Claim', WALLET, { gas: 100_000n }, 'included');
+    const extract = bid('Extract', RELAYER, { gas: 80_000n }); // Permit extraction, sent by the relayer
+    const plan = planReplacement([fund, claim, extract], policy, null);
+    assert.equal(plan.requests.get(extract).maxFeePerGas, 111n);
+    assert.equal(plan.requests.get(fund).value, 1000n);
+});
+
+test('planReplacement refuses a bump past MAX_SPEND_PER_WALLET', () => {
+    const spend = 171_000n * 111n;
+    assert.equal(planReplacement(nativeBids(), { ...policy, maxSpendPerWallet: spend - 1n }, null), null);
+    assert.equal(planReplacement(nativeBids(), { ...policy, maxSpendPerWallet: spend }, null).spend, spend);
+    // A competitor's tip makes the same bump more expensive.
+    assert.equal(planReplacement(nativeBids(), { ...policy, maxSpendPerWallet: spend }, 50n), null);
+});
+
+test('worstCaseSpend counts every step at its max fee', () => {
+    assert.equal(worstCaseSpend(nativeBids()), 171_000n * 100n);
+});
+
+test('planReplacement leaves bids whose nonce was already used alone', () => {
+    const [fund, claim, extract] = nativeBids();
+    claim.nonceUsed = true;
+    const plan = planReplacement([fund, claim, extract], policy, null);
+    assert.equal(plan.requests.get(claim), claim.request);
+    assert.equal(plan.requests.get(fund).value, 1000n + 550_000n); // Only the extraction's extra gas
+});
+
+// --- INCLUSION ---
+
+// An RPC pool whose nonce reads are ahead of its receipt reads by `lagChecks` refreshes.
+function laggingClient({ nonce, mined = new Map(), lagChecks = 0 }) {
+    let checks = 0;
+    return {
+        getTransactionCount: async () => {
+            checks++;
+            return nonce;
+        },
+        getTransactionReceipt: async ({ hash }) => {
+            if (checks <= lagChecks || !mined.has(hash)) throw new Error(`Transaction receipt with hash "${hash}" could not be found.`);
+            return { transactionHash: hash, status: mined.get(hash) };
+        },
+    };
+}
+
+test('refreshBids keeps a used nonce pending while the receipt lags behind', async () => {
+    const claim = bid('Claim', WALLET, { gas: 100_000n, nonce: 4 });
+    Object.assign(claim, { hash: '0x02', replaced: ['0x01'] });
+    const publicClient = laggingClient({ nonce: 5, mined: new Map([['0x01', 'success']]), lagChecks: 1 });
+
+    await refreshBids(publicClient, [claim]);
+    assert.equal(claim.status, 'pending');
+    assert.equal(claim.nonceUsed, true);
+
+    await refreshBids(publicClient, [claim]);
+    assert.equal(claim.status, 'included');
+    assert.equal(claim.hash, '0x01'); // The replaced hash that was actually mined
+});
+
+test('refreshBids declares a used nonce lost only when bidding ends', async () => {
+    const claim = bid('Claim', WALLET, { gas: 100_000n, nonce: 4 });
+    claim.hash = '0x02';
+    const publicClient = laggingClient({ nonce: 5 });
+
+    await refreshBids(publicClient, [claim]);
+    assert.equal(claim.status, 'pending');
+    await refreshBids(publicClient, [claim], { final: true });
+    assert.equal(claim.status, 'lost');
+});
+
+test('refreshBids leaves a bid whose nonce is still free pending', async () => {
+    const claim = bid('Claim', WALLET, { gas: 100_000n, nonce: 4 });
+    claim.hash = '0x02';
+    await refreshBids(laggingClient({ nonce: 4 }), [claim], { final: true });
+    assert.equal(claim.status, 'pending');
+    assert.equal(claim.nonceUsed, undefined);
+});
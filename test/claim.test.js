@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeFunctionData, getAddress } from 'viem';
+import { createClaimBuilder, castLiteral, parseFunction } from '../lib/claim.js';
+import { RELAYER, WALLET } from './helpers.js';
+
+const AIRDROP = '0x00000000000000000000000000000000000000ad';
+const PROOF = ['0x' + '11'.repeat(32), '0x' + '22'.repeat(32)];
+const wallet = { address: WALLET, amount: 500n, index: 7, proof: PROOF };
+
+// CLAIM_* settings as lib/config.js hands them over.
+const builder = (claim) => createClaimBuilder({ airdropAddress: AIRDROP, claim: { args: [], eligibilityArgs: [], ...claim } });
+
+function decodedArgs(claim, target = wallet) {
+    const { to, data } = builder(claim).buildCall(target, RELAYER);
+    assert.equal(to, AIRDROP);
+    return decodeFunctionData({ abi: [parseFunction(claim.signature)], data }).args;
+}
+
+// --- CALLDATA ---
+
+test('claim arguments are inferred from the parameter names', () => {
+    const args = decodedArgs({ signature: 'claim(uint256 index, address account, uint256 amount, bytes32[] merkleProof)' });
+    assert.deepEqual(args, [7n, getAddress(WALLET), 500n, PROOF]);
+});
+
+test('name hints ignore case and leading underscores', () => {
+    const args = decodedArgs({ signature: 'claimFor(address _Recipient, uint256 _cumulativeAmount, bytes32[] _proofs)' });
+    assert.deepEqual(args, [getAddress(WALLET), 500n, PROOF]);
+});
+
+test('explicit CLAIM_ARGS map sources and cast literals to the parameter types', () => {
+    const args = decodedArgs({ signature: 'claimFor(address user, uint256 amount, address receiver, uint256 round, bool stake)', args: ['account', 'amount', 'secure', '3', 'true'] });
+    assert.deepEqual(args, [getAddress(WALLET), 500n, getAddress(RELAYER), 3n, true]);
+});
+
+test('a bare selector is sent as is', () => {
+    assert.deepEqual(builder({ selector: '0x4e71d92d' }).buildCall(wallet, RELAYER), { to: AIRDROP, data: '0x4e71d92d' });
+});
+
+test('castLiteral handles integers, bools, addresses and rejects arrays', () => {
+    assert.equal(castLiteral('12345678901234567890', 'uint256'), 12345678901234567890n);
+    assert.equal(castLiteral('-5', 'int24'), -5n);
+    assert.equal(castLiteral('false', 'bool'), false);
+    assert.equal(castLiteral(RELAYER, 'address'), getAddress(RELAYER)); // Checksummed
+    assert.equal(castLiteral('0xabcd', 'bytes2'), '0xabcd');
+    assert.throws(() => castLiteral('0x11', 'bytes32[]'), /Literal arrays are not supported/);
+    assert.throws(() => castLiteral('1.5', 'uint256'), SyntaxError);
+});
+
+// --- VALIDATION ---
+
+test('a CLAIM_ARGS count that does not match the function is rejected', () => {
+    assert.throws(() => builder({ signature: 'claim(uint256 index, address account)', args: ['index'] }), /CLAIM_ARGS: claim takes 2 arguments but 1 were given/);
+});
+
+test('a parameter name without a hint has to be set explicitly', () => {
+    assert.throws(() => builder({ signature: 'claim(uint256 epoch)' }), /CLAIM_ARGS: cannot infer argument #1 \(uint256 epoch\) of claim/);
+    assert.throws(() => builder({ signature: 'claim(address)' }), /argument #1 \(address unnamed\)/);
+});
+
+test('ELIGIBILITY_FUNCTION must return a single bool or uint', () => {
+    assert.throws(() => builder({ signature: 'claim()', eligibility: 'info(address account) view returns (address)' }), /must return a single bool or uint/);
+    assert.throws(() => builder({ signature: 'claim()', eligibility: 'info(address account) view returns (uint256, bool)' }), /must return a single bool or uint/);
+});
+
+test('validate lists every wallet whose arguments cannot be encoded', () => {
+    const claim = builder({ signature: 'claim(uint256 index, address account, bytes32[] proof)' });
+    const other = '0x00000000000000000000000000000000000000cc';
+    assert.doesNotThrow(() => claim.validate([wallet], RELAYER));
+    assert.throws(() => claim.validate([wallet, { address: WALLET, amount: 1n, proof: PROOF }, { address: other, amount: 1n, index: 2 }], RELAYER), (error) => {
+        assert.match(error.message, /^Invalid claim arguments:/);
+        assert.match(error.message, new RegExp(`${WALLET}: no merkle index for ${WALLET}`));
+        assert.match(error.message, new RegExp(`${other}: no merkle proof for ${other}`));
+        return true;
+    });
+    const literal = builder({ signature: 'claim(uint256 round)', args: ['first'] });
+    assert.throws(() => literal.validate([wallet], RELAYER), /Invalid claim arguments:/);
+});
+
+// --- ELIGIBILITY ---
+
+const reading = (result) => ({ readContract: async () => result });
+
+test('checkEligibility reports the on-chain allocation of a uint check', async () => {
+    const claim = builder({ selector: '0x4e71d92d' }); // Legacy calculateAllocation(address)
+    assert.deepEqual(await claim.checkEligibility(reading(800n), wallet, RELAYER), { eligible: true, allocation: 800n, reason: 'Insufficient allocation.' });
+    assert.equal((await claim.checkEligibility(reading(499n), wallet, RELAYER)).eligible, false);
+});
+
+test('checkEligibility has no allocation without an on-chain amount', async () => {
+    assert.deepEqual(await builder({ signature: 'claim()' }).checkEligibility(reading(null), wallet, RELAYER), { eligible: true, allocation: null });
+    const isClaimed = builder({ signature: 'claim()', eligibility: 'isClaimed(uint256 index) view returns (bool)' });
+    assert.deepEqual(await isClaimed.checkEligibility(reading(false), wallet, RELAYER), { eligible: true, allocation: null, reason: 'isClaimed returned false.' });
+    assert.equal((await isClaimed.checkEligibility(reading(true), wallet, RELAYER)).eligible, false);
+});
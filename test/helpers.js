@@ -0,0 +1,26 @@
+// --- TEST BUILDERS ---
+// Bursts as the engine hands them around: steps are { label, account, request }, bids add a `status`
+// (and the hashes bidding tracks). Only the account's address matters offline.
+
+export const RELAYER = '0x00000000000000000000000000000000000000aa';
+export const WALLET = '0x00000000000000000000000000000000000000bb';
+export const FEES = { maxFeePerGas: 100n, maxPriorityFeePerGas: 10n };
+
+export const step = (label, address, request) => ({ label, account: { address }, request: { ...FEES, ...request } });
+
+export const bid = (label, address, request, status = 'pending') => ({ ...step(label, address, request), status, replaced: [] });
+
+// A permit burst as buildSteps returns it: the relayer funds (nonce n) and sends the permit
+// extraction (nonce n + 1), the compromised wallet claims in between.
+export const permitBurst = (wallet, relayerNonce) => [
+    step('Fund', RELAYER, { to: wallet, value: 1000n, gas: 21_000n, nonce: relayerNonce }),
+    step('Claim', wallet, { gas: 100_000n, nonce: 0 }),
+    step('Extract', RELAYER, { gas: 50_000n, nonce: relayerNonce + 1 }),
+];
+
+// Fund → Claim → Extract of a native rescue, as bids.
+export const nativeBids = () => [
+    bid('Fund', RELAYER, { to: WALLET, value: 1000n, gas: 21_000n }),
+    bid('Claim', WALLET, { to: '0x00000000000000000000000000000000000000cc', gas: 100_000n }),
+    bid('Extract', WALLET, { to: RELAYER, value: 1_000_000n, gas: 50_000n }),
+];
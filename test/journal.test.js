@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openJournal, reconcileEntry, reconcileJournal, sentHashes } from '../lib/journal.js';
+import { WALLET } from './helpers.js';
+
+// A node that knows each hash as 'success' or 'reverted' (mined) or 'pending' (in the mempool).
+// Any other hash was dropped or replaced.
+function chainClient(known = {}) {
+    return {
+        getTransactionReceipt: async ({ hash }) => {
+            if (known[hash] !== 'success' && known[hash] !== 'reverted') throw new Error(`Transaction receipt with hash "${hash}" could not be found.`);
+            return { transactionHash: hash, status: known[hash] };
+        },
+        getTransaction: async ({ hash }) => {
+            if (known[hash] !== 'pending') throw new Error(`Transaction with hash "${hash}" could not be found.`);
+            return { hash };
+        },
+    };
+}
+
+const sent = (fields) => ({
+    wallet: WALLET,
+    state: 'sent',
+    txs: { fund: { hash: '0x01', replaced: [] }, claim: { hash: '0x02', replaced: [] }, extract: { hash: '0x03', replaced: [] } },
+    ...fields,
+});
+
+// --- RECONCILE ---
+
+test('a mined extraction means the wallet was rescued', async () => {
+    assert.deepEqual(await reconcileEntry(chainClient({ '0x01': 'success', '0x02': 'success', '0x03': 'success' }), sent()), { state: 'extracted', reason: null });
+});
+
+test('a replacement hash counts when it is the one that was mined', async () => {
+    const entry = sent();
+    entry.txs.extract.replaced = ['0x13'];
+    assert.equal((await reconcileEntry(chainClient({ '0x02': 'success', '0x13': 'success' }), entry)).state, 'extracted');
+});
+
+test('a burst with a tx still in the mempool stays sent', async () => {
+    assert.equal(await reconcileEntry(chainClient({ '0x02': 'success', '0x03': 'pending' }), sent()), null);
+    assert.equal(await reconcileEntry(chainClient({ '0x02': 'pending' }), sent()), null);
+});
+
+test('a confirmed claim whose extraction was dropped or reverted is claimed', async () => {
+    assert.deepEqual(await reconcileEntry(chainClient({ '0x02': 'success' }), sent()), { state: 'claimed', claimed: true, reason: 'Extraction not mined (dropped)' });
+    assert.deepEqual(await reconcileEntry(chainClient({ '0x02': 'success', '0x03': 'reverted' }), sent()), { state: 'claimed', claimed: true, reason: 'Extraction reverted' });
+});
+
+test('a dropped or reverted claim fails the whole burst', async () => {
+    assert.deepEqual(await reconcileEntry(chainClient(), sent()), { state: 'failed', reason: 'Burst not mined (dropped)' });
+    assert.deepEqual(await reconcileEntry(chainClient({ '0x02': 'reverted' }), sent()), { state: 'failed', reason: 'Claim reverted' });
+});
+
+test('an extract-only retry after a confirmed claim goes back to claimed, never to failed', async () => {
+    // The retry burst has no claim tx; the earlier claim is remembered by the entry.
+    const entry = sent({ claimed: true, txs: { extract: { hash: '0x23', replaced: [] } } });
+    assert.deepEqual(await reconcileEntry(chainClient(), entry), { state: 'claimed', claimed: true, reason: 'Extraction not mined (dropped)' });
+    assert.equal((await reconcileEntry(chainClient({ '0x23': 'success' }), entry)).state, 'extracted');
+});
+
+test('a sent entry without txs is settled from what the entry remembers', async () => {
+    assert.deepEqual(await reconcileEntry(chainClient(), { wallet: WALLET, state: 'sent' }), { state: 'failed', reason: 'Burst not mined (dropped)' });
+    assert.equal((await reconcileEntry(chainClient(), { wallet: WALLET, state: 'sent', claimed: true })).state, 'claimed');
+    assert.deepEqual(sentHashes({ state: 'sent' }), []);
+});
+
+// --- JOURNAL ---
+
+test('reconcileJournal journals the outcome of sent entries only and keeps pending ones sent', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'journal.jsonl');
+    t.mock.method(console, 'log', () => {});
+
+    const journal = openJournal(file);
+    journal.record('mined', sent());
+    journal.record('waiting', sent({ txs: { claim: { hash: '0x32', replaced: ['0x31'] } } }));
+    journal.record('done', { wallet: WALLET, state: 'extracted' });
+    await reconcileJournal(journal, chainClient({ '0x01': 'success', '0x02': 'success', '0x03': 'success', '0x31': 'pending' }), ['mined', 'waiting', 'done', 'unknown']);
+
+    // Folded back from the file, as on the next start.
+    const reopened = openJournal(file);
+    assert.equal(reopened.get('mined').state, 'extracted');
+    assert.equal(reopened.get('waiting').state, 'sent');
+    assert.equal(reopened.get('done').state, 'extracted');
+    assert.equal(reopened.get('unknown'), undefined);
+    assert.deepEqual(sentHashes(reopened.get('waiting')), ['0x32', '0x31']);
+    assert.equal(fs.readFileSync(file, 'utf-8').trim().split('\n').length, 4); // Three records and one patch
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeAbiParameters, encodeEventTopics, parseAbiItem } from 'viem';
+import { simulateBurst } from '../lib/simulate.js';
+import { RELAYER, WALLET, step } from './helpers.js';
+
+const TOKEN = '0x00000000000000000000000000000000000000dd';
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+
+const transferLog = (to, value) => ({
+    address: TOKEN,
+    topics: encodeEventTopics({ abi: [TRANSFER_EVENT], eventName: 'Transfer', args: { from: WALLET, to } }),
+    data: encodeAbiParameters([{ type: 'uint256' }], [value]),
+});
+
+// eth_simulateV1 answering every call with success and the given logs.
+const simulatingClient = (logs = []) => ({
+    simulateBlocks: async ({ blocks: [{ calls }] }) => [{ calls: calls.map(() => ({ status: 'success', gasUsed: 21_000n, logs })) }],
+});
+
+const nativeSteps = () => [
+    step('Fund', RELAYER, { to: WALLET, value: 1000n, gas: 21_000n }),
+    step('Claim', WALLET, { gas: 100_000n }),
+    step('Extract', WALLET, { to: RELAYER, value: 5n, gas: 21_000n }),
+];
+
+test('a native burst expects the value of its extraction', async () => {
+    const simulation = await simulateBurst({ publicClient: simulatingClient(), steps: nativeSteps(), tokenAddress: null, secureAddress: RELAYER });
+    assert.equal(simulation.ok, true);
+    assert.equal(simulation.method, 'eth_simulateV1');
+    assert.equal(simulation.expectedExtract, 5n);
+});
+
+test('a token burst expects the Transfer logs to the secure wallet', async () => {
+    const logs = [transferLog(RELAYER, 700n), transferLog('0x00000000000000000000000000000000000000ee', 300n)];
+    const simulation = await simulateBurst({ publicClient: simulatingClient(logs), steps: nativeSteps(), tokenAddress: TOKEN, secureAddress: RELAYER });
+    assert.equal(simulation.expectedExtract, 700n);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { encodeFunctionData, parseGwei } from 'viem';
+import { createSweeperWatcher } from '../lib/sweeper.js';
+import { TOKEN_ABI } from '../lib/strategies/token.js';
+
+// Recorded with SWEEPER_RECORD_FILE against a local node: the wallet is funded (block 51), sends a
+// zero-value self-transfer (52), then a bot drains it to 0x…dEaD with a 5 gwei tip (53).
+const FIXTURE = fileURLToPath(new URL('./fixtures/sweeper.json', import.meta.url));
+const WALLET = '0x6C1E2A1e33f31Eb456d82cC946332444Bb3D48a5';
+const SWEEP = '0xe7c99c94e301f4e34b4895acaab0663399821bd4aed8c7226ec17c924a41fc17';
+const SWEEPER = '0x000000000000000000000000000000000000dEaD';
+
+test('a replayed fixture profiles the sweep and nothing else', () => {
+    const watcher = createSweeperWatcher({ addresses: [WALLET] });
+    watcher.replay(FIXTURE);
+    const profile = watcher.profileFor(WALLET);
+
+    assert.equal(profile.swept, true);
+    assert.equal(profile.incoming, 1);
+    assert.equal(profile.sweeps, 1); // The self-transfer moves no value
+    assert.equal(profile.pendingSweeps, 0);
+    assert.deepEqual(profile.sweepers, [SWEEPER]);
+    assert.equal(profile.medianDelayBlocks, 2n);
+    assert.equal(profile.maxTip, parseGwei('5'));
+});
+
+test('our own bursts are not sweeps', () => {
+    const watcher = createSweeperWatcher({ addresses: [WALLET] });
+    watcher.ignore([SWEEP]);
+    watcher.replay(FIXTURE);
+    assert.equal(watcher.profileFor(WALLET).swept, false);
+});
+
+test('value leaving before any funding is not a sweep, a token transfer always is', () => {
+    const watcher = createSweeperWatcher({ addresses: [WALLET] });
+    const tx = (fields) => ({ from: WALLET, value: 0n, input: '0x', maxPriorityFeePerGas: parseGwei('2'), maxFeePerGas: parseGwei('30'), ...fields });
+    watcher.ingestBlock({ number: 10n, timestamp: 100n, transactions: [tx({ hash: '0x01', to: SWEEPER, value: 1n })] });
+    assert.equal(watcher.profileFor(WALLET).swept, false);
+
+    const data = encodeFunctionData({ abi: TOKEN_ABI, functionName: 'transfer', args: [SWEEPER, 1000n] });
+    watcher.ingestBlock({ number: 11n, timestamp: 112n, transactions: [tx({ hash: '0x02', to: '0x00000000000000000000000000000000000000Cc', input: data })] });
+    const profile = watcher.profileFor(WALLET);
+    assert.equal(profile.sweeps, 1);
+    assert.deepEqual(profile.sweepers, [SWEEPER]); // The recipient, not the token contract
+});